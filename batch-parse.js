@@ -0,0 +1,99 @@
+// === Batch Envelope Parser ===
+// Decodes many signature scripts in one pass, e.g. for an indexer back-fill.
+// Input is line-oriented, one record per line:
+// - plain hex:  4115a7...
+// - JSONL:      {"txid": "...", "script": "4115a7..."}
+//   (`transactionId` and `signatureScript` are accepted as aliases)
+// Output is JSONL, one result per input record, in input order:
+//   {"line": 1, "txid": "...", "ok": true, "envelope": {...}}
+//   {"line": 2, "txid": "...", "ok": false, "error": "..."}
+// Blank lines are skipped. A bad record never stops the batch.
+
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+const { parseBridgeScript } = require('./envelope-decoder.js');
+const { bytesToHex } = require('./generate-script.js');
+
+// BigInts as decimal strings, byte arrays as 0x hex
+function jsonReplacer(key, value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Uint8Array) return bytesToHex(value);
+  return value;
+}
+
+// Split one input line into { txid, script }
+function readRecord(text) {
+  if (!text.startsWith('{')) return { txid: null, script: text };
+
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`invalid JSON: ${error.message}`);
+  }
+  const txid = record.txid || record.transactionId || null;
+  const script = record.script || record.signatureScript;
+  if (typeof script !== 'string') return { txid, script: null };
+  return { txid, script };
+}
+
+// Decode one input line; returns the output record, or null for blank lines
+function parseBatchLine(text, line) {
+  text = text.trim();
+  if (text === '') return null;
+
+  let txid = null;
+  try {
+    const record = readRecord(text);
+    txid = record.txid;
+    if (!record.script) throw new Error('record has no script');
+    if (!/^(0x)?([0-9a-fA-F]{2})+$/.test(record.script)) throw new Error('script is not a hex string');
+
+    const { redeemScript, ...envelope } = parseBridgeScript(record.script);
+    return { line, txid, ok: true, envelope };
+  } catch (error) {
+    return { line, txid, ok: false, error: error.message };
+  }
+}
+
+// Stream `input` (path, '-' for stdin, or a readable stream) to `output`
+// (path, '-' for stdout, or a writable stream). Resolves with counts.
+async function parseBatch({ input = '-', output = '-' } = {}) {
+  const inputStream = typeof input === 'string'
+    ? (input === '-' ? process.stdin : fs.createReadStream(input))
+    : input;
+  // Only files opened here are closed here
+  const ownsOutput = typeof output === 'string' && output !== '-';
+  const outputStream = typeof output === 'string'
+    ? (ownsOutput ? fs.createWriteStream(output) : process.stdout)
+    : output;
+
+  const summary = { total: 0, ok: 0, failed: 0 };
+  const lines = readline.createInterface({ input: inputStream, crlfDelay: Infinity });
+  let line = 0;
+
+  for await (const text of lines) {
+    line += 1;
+    const result = parseBatchLine(text, line);
+    if (!result) continue;
+
+    summary.total += 1;
+    if (result.ok) summary.ok += 1;
+    else summary.failed += 1;
+
+    // Respect backpressure so large files don't buffer in memory
+    if (!outputStream.write(JSON.stringify(result, jsonReplacer) + '\n')) {
+      await once(outputStream, 'drain');
+    }
+  }
+
+  if (ownsOutput) {
+    outputStream.end();
+    await once(outputStream, 'finish');
+  }
+  return summary;
+}
+
+// Export for Node.js/CommonJS
+module.exports = { parseBatch, parseBatchLine, jsonReplacer };
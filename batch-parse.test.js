@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, Writable } = require('node:stream');
+const { parseBatch, parseBatchLine, jsonReplacer } = require('./batch-parse.js');
+const { generateBridgeScript, bytesToHex } = require('./generate-script.js');
+const { ScriptBuilder } = require('./script-builder.js');
+
+const redeem = (tick) => generateBridgeScript({
+  publicKey: new Uint8Array(32).fill(1),
+  chainId: 202555,
+  l2Address: '0x' + '00'.repeat(19) + 'aa',
+  signatureRS: '0x' + '11'.repeat(64),
+  token: { mode: 'mint', tick },
+  amount: 100000000n,
+});
+// Reveal signature script: <signature> <redeem script>
+const signatureScript = (tick) => bytesToHex(new ScriptBuilder().addData(new Uint8Array(65).fill(2)).addData(redeem(tick)).build()).slice(2);
+
+// Collects the JSONL output; a small highWaterMark makes parseBatch wait for 'drain'
+function collector() {
+  const chunks = [];
+  const stream = new Writable({
+    highWaterMark: 16,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      setImmediate(callback);
+    },
+  });
+  stream.records = () => chunks.join('').trim().split('\n').map((line) => JSON.parse(line));
+  return stream;
+}
+
+test('parses mixed hex and JSONL lines in input order with per-record errors', async () => {
+  const input = Readable.from([
+    signatureScript('NACHO') + '\n',
+    '\n',
+    JSON.stringify({ txid: 'aa'.repeat(32), script: signatureScript('KASPY') }) + '\r\n',
+    JSON.stringify({ transactionId: 'bb'.repeat(32), signatureScript: '0x' + signatureScript('BADEGG') }) + '\n',
+    '{"txid": "cc", "script": \n',
+    JSON.stringify({ txid: 'dd' }) + '\n',
+    'not-hex\n',
+    JSON.stringify({ txid: 'ee', script: '51' }),
+  ]);
+  const output = collector();
+
+  const summary = await parseBatch({ input, output });
+  assert.deepEqual(summary, { total: 7, ok: 3, failed: 4 });
+
+  const records = output.records();
+  assert.deepEqual(records.map(({ line, txid, ok }) => [line, txid, ok]), [
+    [1, null, true],
+    [3, 'aa'.repeat(32), true],
+    [4, 'bb'.repeat(32), true],
+    [5, null, false],
+    [6, 'dd', false],
+    [7, null, false],
+    [8, 'ee', false],
+  ]);
+  assert.deepEqual(records.slice(0, 3).map((r) => r.envelope.token.tick), ['NACHO', 'KASPY', 'BADEGG']);
+  assert.equal(records[0].envelope.signature, '0x' + '02'.repeat(65));
+  assert.equal(records[0].envelope.redeemScript, undefined);
+  assert.match(records[3].error, /^invalid JSON: /);
+  assert.equal(records[4].error, 'record has no script');
+  assert.equal(records[5].error, 'script is not a hex string');
+  assert.equal(typeof records[6].error, 'string');
+  assert.equal(records[6].envelope, undefined);
+});
+
+test('BigInts and byte arrays are written as JSON-safe strings', () => {
+  const json = JSON.stringify({ amount: 10n ** 20n, bytes: Uint8Array.of(0xab, 0x01), n: 1 }, jsonReplacer);
+  assert.equal(json, '{"amount":"100000000000000000000","bytes":"0xab01","n":1}');
+});
+
+test('blank and whitespace-only lines produce no record', () => {
+  assert.equal(parseBatchLine('', 1), null);
+  assert.equal(parseBatchLine('   \t', 2), null);
+});
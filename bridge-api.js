@@ -0,0 +1,169 @@
+// === Kaspa Bridge HTTP API Client ===
+// Typed client for https://api.katbridge.com:
+// - GET /bridge-fee  → current bridge fee (sompi, wei, KAS)
+// - GET /token-pair  → bridgeable KRC-20 ↔ ERC-20 token pairs
+// Responses are validated, amounts converted to BigInt and cached per endpoint.
+
+const { tokenPairMatches } = require('./krc20-token.js');
+const { NETWORKS } = require('./networks.js');
+
+const API_CONFIG = {
+  BASE_URL: NETWORKS.mainnet.apiUrl,
+  CACHE_TTL_MS: 60000,
+};
+
+// === Validation Helpers ===
+function expectDigits(value, field) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error(`invalid API response: ${field} must be an integer string`);
+  }
+  const str = String(value);
+  if (!/^\d+$/.test(str)) throw new Error(`invalid API response: ${field} must be an integer string, got "${str}"`);
+  return BigInt(str);
+}
+
+function expectType(value, type, field) {
+  if (typeof value !== type) throw new Error(`invalid API response: ${field} must be a ${type}`);
+  return value;
+}
+
+function expectHex(value, bytes, field) {
+  if (typeof value !== 'string' || !new RegExp(`^0x[0-9a-fA-F]{${bytes * 2}}$`).test(value)) {
+    throw new Error(`invalid API response: ${field} must be a ${bytes}-byte hex string`);
+  }
+  return value;
+}
+
+function expectDecimals(value, field) {
+  if (!Number.isInteger(value) || value < 0 || value > 255) {
+    throw new Error(`invalid API response: ${field} must be an integer between 0 and 255`);
+  }
+  return value;
+}
+
+function parseBridgeFee(body) {
+  if (!body || typeof body !== 'object') throw new Error('invalid API response: bridge-fee body is not an object');
+  return {
+    bridgeFeeInSompi: expectDigits(body.bridgeFeeInSompi, 'bridgeFeeInSompi'),
+    bridgeFeeWei: expectDigits(body.bridgeFeeWei, 'bridgeFeeWei'),
+    bridgeFeeInKas: String(body.bridgeFeeInKas),
+  };
+}
+
+function parseTokenPair(pair, index) {
+  const at = (field) => `result[${index}].${field}`;
+  if (!pair || typeof pair !== 'object') throw new Error(`invalid API response: result[${index}] is not an object`);
+  return {
+    ...pair,
+    id: expectType(pair.id, 'number', at('id')),
+    l1_symbol: expectType(pair.l1_symbol, 'string', at('l1_symbol')),
+    l1_decimals: expectDecimals(pair.l1_decimals, at('l1_decimals')),
+    l2_decimals: expectDecimals(pair.l2_decimals, at('l2_decimals')),
+    l2_chain_id: expectType(pair.l2_chain_id, 'number', at('l2_chain_id')),
+    l2_address: expectHex(pair.l2_address, 20, at('l2_address')),
+    tokenHash: expectHex(pair.tokenHash, 32, at('tokenHash')),
+    maxSupply: expectDigits(pair.maxSupply, at('maxSupply')),
+    is_active: expectType(pair.is_active, 'boolean', at('is_active')),
+  };
+}
+
+// One malformed pair must not hide the others: invalid entries are skipped and
+// reported through `onInvalid(error, entry, index)`
+function parseTokenPairs(body, { onInvalid } = {}) {
+  if (!body || body.success !== true) throw new Error('invalid API response: token-pair request was not successful');
+  if (!Array.isArray(body.result)) throw new Error('invalid API response: token-pair result must be an array');
+
+  const pairs = [];
+  body.result.forEach((entry, index) => {
+    try {
+      pairs.push(parseTokenPair(entry, index));
+    } catch (error) {
+      if (onInvalid) onInvalid(error, entry, index);
+    }
+  });
+  return pairs;
+}
+
+// === Client ===
+class BridgeApiClient {
+  constructor({ baseUrl = API_CONFIG.BASE_URL, fetch: fetchImpl = globalThis.fetch, cacheTtlMs = API_CONFIG.CACHE_TTL_MS, onInvalidTokenPair } = {}) {
+    if (typeof fetchImpl !== 'function') throw new Error('fetch is not available; pass one in the options');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = fetchImpl;
+    this.cacheTtlMs = cacheTtlMs;
+    this.onInvalidTokenPair = onInvalidTokenPair;
+    this.cache = new Map();
+    // Entries skipped by the last token-pair load: [{ index, entry, error }]
+    this.invalidTokenPairs = [];
+  }
+
+  async request(path) {
+    const response = await this.fetch(`${this.baseUrl}${path}`, { headers: { accept: 'application/json' } });
+    if (!response.ok) throw new Error(`bridge API ${path} failed with HTTP ${response.status}`);
+    return response.json();
+  }
+
+  // Cache the parsed result per endpoint; concurrent callers share one request
+  async cached(key, load, { force = false } = {}) {
+    const entry = this.cache.get(key);
+    if (!force && entry && entry.expiresAt > Date.now()) return entry.value;
+
+    const value = load();
+    this.cache.set(key, { value, expiresAt: Date.now() + this.cacheTtlMs });
+    try {
+      return await value;
+    } catch (error) {
+      this.cache.delete(key);
+      throw error;
+    }
+  }
+
+  getBridgeFee(options) {
+    return this.cached('bridge-fee', async () => parseBridgeFee(await this.request('/bridge-fee')), options);
+  }
+
+  getTokenPairs(options) {
+    return this.cached('token-pair', async () => {
+      const invalid = [];
+      const pairs = parseTokenPairs(await this.request('/token-pair'), {
+        onInvalid: (error, entry, index) => {
+          invalid.push({ index, entry, error });
+          if (this.onInvalidTokenPair) this.onInvalidTokenPair(error, entry, index);
+        },
+      });
+      this.invalidTokenPairs = invalid;
+      return pairs;
+    }, options);
+  }
+
+  // Find one pair by L1 symbol, issue-mode contract address (ca), L2 token address or token hash
+  async getTokenPair({ symbol, ca, l2Address, tokenHash }, options) {
+    const pairs = await this.getTokenPairs(options);
+    const pair = pairs.find((p) =>
+      (symbol && tokenPairMatches(p, { mode: 'mint', tick: symbol })) ||
+      (ca && tokenPairMatches(p, { mode: 'issue', ca })) ||
+      (l2Address && p.l2_address.toLowerCase() === l2Address.toLowerCase()) ||
+      (tokenHash && p.tokenHash.toLowerCase() === tokenHash.toLowerCase())
+    );
+    if (!pair) throw new Error(`token pair not found for ${symbol || ca || l2Address || tokenHash}`);
+    return pair;
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// Export for Node.js/CommonJS
+module.exports = { BridgeApiClient, parseBridgeFee, parseTokenPairs, API_CONFIG };
+
+// Run example if this file is executed directly
+if (require.main === module) {
+  (async () => {
+    const client = new BridgeApiClient();
+    const fee = await client.getBridgeFee();
+    console.log(`✅ Bridge fee: ${fee.bridgeFeeInKas} KAS (${fee.bridgeFeeInSompi} sompi, ${fee.bridgeFeeWei} wei)`);
+    const pairs = await client.getTokenPairs();
+    console.log(`✅ ${pairs.length} token pairs:`, pairs.map((p) => p.l1_symbol).join(', '));
+  })().catch((error) => console.error('❌ Error:', error.message));
+}
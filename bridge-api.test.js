@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BridgeApiClient, parseBridgeFee, parseTokenPairs } = require('./bridge-api.js');
+
+const CA = 'AB'.repeat(32);
+
+// Token-pair entry shaped like the documented API response
+const pair = (overrides) => ({
+  id: 14,
+  l1_name: 'BADEGG',
+  l1_symbol: 'BADEGG',
+  l1_decimals: 8,
+  l2_name: 'BADEGG',
+  l2_symbol: 'BADEGG',
+  l2_decimals: 18,
+  l2_chain_id: 202555,
+  l2_address: '0xAefC070d1c4023DdAfc5F3f77181EeD8CB70277d',
+  tokenHash: '0x2c95459bfda60671c20122235e0f4fbeb698be2f0bc45a74a3c49ee79f8cf44b',
+  maxSupply: '21000000000000000000000000000',
+  is_active: true,
+  ...overrides,
+});
+
+// Serves `routes[path]` and counts requests per path
+function fakeFetch(routes) {
+  const calls = {};
+  const fetch = async (url) => {
+    const path = new URL(url).pathname;
+    calls[path] = (calls[path] || 0) + 1;
+    if (!(path in routes)) return { ok: false, status: 404 };
+    return { ok: true, json: async () => routes[path] };
+  };
+  return { fetch, calls };
+}
+
+test('parseBridgeFee converts amounts to BigInt and rejects non-digit amounts', () => {
+  const fee = parseBridgeFee({ bridgeFeeInSompi: '1000000000', bridgeFeeWei: '10000000000000000000', bridgeFeeInKas: 10 });
+  assert.deepEqual(fee, { bridgeFeeInSompi: 1000000000n, bridgeFeeWei: 10000000000000000000n, bridgeFeeInKas: '10' });
+  assert.throws(() => parseBridgeFee({ bridgeFeeInSompi: '1e9', bridgeFeeWei: '1' }), /bridgeFeeInSompi/);
+});
+
+test('parseTokenPairs skips malformed entries and reports them', () => {
+  const invalid = [];
+  const pairs = parseTokenPairs(
+    { success: true, result: [pair(), pair({ id: 15, l2_address: '0x1234' }), null, pair({ id: 16, l1_symbol: 'NACHO' })] },
+    { onInvalid: (error, entry, index) => invalid.push([index, error.message]) }
+  );
+  assert.deepEqual(pairs.map((p) => p.id), [14, 16]);
+  assert.equal(pairs[0].maxSupply, 21000000000000000000000000000n);
+  assert.deepEqual(invalid.map(([index]) => index), [1, 2]);
+  assert.match(invalid[0][1], /result\[1\]\.l2_address/);
+
+  assert.throws(() => parseTokenPairs({ success: false }), /not successful/);
+  assert.throws(() => parseTokenPairs({ success: true, result: {} }), /must be an array/);
+});
+
+test('getTokenPair matches symbols, issue-mode cas and addresses case-insensitively', async () => {
+  const { fetch } = fakeFetch({ '/token-pair': { success: true, result: [pair(), pair({ id: 20, l1_symbol: CA })] } });
+  const api = new BridgeApiClient({ baseUrl: 'https://api.example/', fetch });
+
+  assert.equal((await api.getTokenPair({ symbol: 'badegg' })).id, 14);
+  assert.equal((await api.getTokenPair({ ca: CA.toLowerCase() })).id, 20);
+  assert.equal((await api.getTokenPair({ l2Address: '0xaefc070d1c4023ddafc5f3f77181eed8cb70277d' })).id, 14);
+  // An issue-mode pair is not found by treating its ca as a ticker
+  await assert.rejects(api.getTokenPair({ symbol: CA }), /token pair not found/);
+});
+
+test('keeps skipped token pairs on the client and calls onInvalidTokenPair', async () => {
+  const reported = [];
+  const { fetch } = fakeFetch({ '/token-pair': { success: true, result: [pair({ maxSupply: -1 }), pair()] } });
+  const api = new BridgeApiClient({ fetch, onInvalidTokenPair: (error, entry, index) => reported.push(index) });
+
+  assert.equal((await api.getTokenPairs()).length, 1);
+  assert.deepEqual(reported, [0]);
+  assert.equal(api.invalidTokenPairs.length, 1);
+  assert.match(api.invalidTokenPairs[0].error.message, /maxSupply/);
+});
+
+test('caches per endpoint, shares in-flight requests and refetches on force', async () => {
+  const { fetch, calls } = fakeFetch({ '/token-pair': { success: true, result: [pair()] } });
+  const api = new BridgeApiClient({ fetch });
+
+  await Promise.all([api.getTokenPairs(), api.getTokenPairs()]);
+  assert.equal(calls['/token-pair'], 1);
+  await api.getTokenPairs({ force: true });
+  assert.equal(calls['/token-pair'], 2);
+});
+
+test('HTTP failures reject and are not cached', async () => {
+  let fail = true;
+  const fetch = async () => (fail ? { ok: false, status: 503 } : { ok: true, json: async () => ({ success: true, result: [] }) });
+  const api = new BridgeApiClient({ fetch });
+
+  await assert.rejects(api.getTokenPairs(), /token-pair failed with HTTP 503/);
+  fail = false;
+  assert.deepEqual(await api.getTokenPairs(), []);
+});
@@ -0,0 +1,440 @@
+// === CBOR Codec ===
+// Self-contained CBOR (RFC 8949) encoder/decoder for the bridge blob, so
+// encoding never depends on an optional dependency. Two encoding modes:
+//
+// - default:   byte-for-byte what cbor-x 1.x `encode` produces (the bridge-ui
+//              encoder), including its quirks:
+//              - plain objects use a 16-bit map header (0xb9 nnnn)
+//              - Uint8Array is tagged as a typed array (tag 64); Buffer is not
+//              - integer Numbers outside the uint32/int32 range become float64
+//              - BigInt always uses the 8-byte form (bignum tags beyond 64 bits)
+//              - Map is tagged 259
+// - canonical: RFC 8949 §4.2.1 core deterministic encoding: shortest heads and
+//              floats, map keys sorted by their encoded bytes, no tags on byte
+//              strings or maps
+//
+// Supported values: numbers, BigInt, strings, booleans, null, undefined,
+// Uint8Array/Buffer, arrays, plain objects, Map and Tagged.
+//
+// The decoder accepts all major types, including indefinite lengths, and
+// mirrors cbor-x: 64-bit integers decode to BigInt, maps to plain objects
+// (tag 259 to Map), byte strings to Buffer (tag 64 to Uint8Array), tags 2/3
+// to BigInt and tag 1 to Date. Other tags decode to Tagged.
+
+class Tagged {
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+const TAG_DATE_EPOCH = 1;
+const TAG_POS_BIGNUM = 2;
+const TAG_NEG_BIGNUM = 3;
+const TAG_UINT8_ARRAY = 64;
+const TAG_MAP = 259;
+
+const UINT64_MAX = (1n << 64n) - 1n;
+
+// === Encoder ===
+class Writer {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  bytes(bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  byte(value) {
+    this.bytes(Uint8Array.of(value));
+  }
+
+  result() {
+    const out = new Uint8Array(this.length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+}
+
+// Major type + argument, in the shortest form (or the fixed `size` given)
+function writeHead(w, major, argument, size) {
+  const value = BigInt(argument);
+  const mt = major << 5;
+  if (size === undefined) {
+    if (value < 24n) size = 0;
+    else if (value <= 0xffn) size = 1;
+    else if (value <= 0xffffn) size = 2;
+    else if (value <= 0xffffffffn) size = 4;
+    else size = 8;
+  }
+
+  if (size === 0) return w.byte(mt | Number(value));
+  const info = { 1: 24, 2: 25, 4: 26, 8: 27 }[size];
+  const head = new Uint8Array(1 + size);
+  head[0] = mt | info;
+  for (let i = 0; i < size; i++) head[size - i] = Number((value >> BigInt(8 * i)) & 0xffn);
+  w.bytes(head);
+}
+
+function writeFloat64(w, value) {
+  const out = new Uint8Array(9);
+  out[0] = 0xfb;
+  new DataView(out.buffer).setFloat64(1, value);
+  w.bytes(out);
+}
+
+// Half-precision bits of `value`, or null if it does not fit exactly
+function toHalf(value) {
+  if (Number.isNaN(value)) return 0x7e00;
+  if (value === Infinity) return 0x7c00;
+  if (value === -Infinity) return 0xfc00;
+  if (value === 0) return Object.is(value, -0) ? 0x8000 : 0x0000;
+  if (Math.fround(value) !== value) return null;
+
+  const sign = value < 0 ? 0x8000 : 0;
+  const abs = Math.abs(value);
+  const f32 = new DataView(new ArrayBuffer(4));
+  f32.setFloat32(0, abs);
+  const bits = f32.getUint32(0);
+  const exponent = ((bits >>> 23) & 0xff) - 127;
+  const mantissa = bits & 0x7fffff;
+
+  if (exponent >= -14 && exponent <= 15) {
+    if (mantissa & 0x1fff) return null;
+    return sign | ((exponent + 15) << 10) | (mantissa >>> 13);
+  }
+  // Subnormal half: abs = m * 2^-24 with integer m < 1024
+  const scaled = abs * 2 ** 24;
+  if (exponent < -14 && Number.isInteger(scaled) && scaled < 1024) return sign | scaled;
+  return null;
+}
+
+// Shortest float encoding that preserves the value
+function writeShortestFloat(w, value) {
+  const half = toHalf(value);
+  if (half !== null) return w.bytes(Uint8Array.of(0xf9, half >> 8, half & 0xff));
+  if (Math.fround(value) === value) {
+    const out = new Uint8Array(5);
+    out[0] = 0xfa;
+    new DataView(out.buffer).setFloat32(1, value);
+    return w.bytes(out);
+  }
+  writeFloat64(w, value);
+}
+
+function writeBigInt(w, value, canonical) {
+  const negative = value < 0n;
+  const magnitude = negative ? -1n - value : value;
+  // cbor-x switches to a bignum one step early for negatives (at -2^64)
+  const limit = canonical || !negative ? UINT64_MAX : UINT64_MAX - 1n;
+  if (magnitude <= limit) return writeHead(w, negative ? 1 : 0, magnitude, canonical ? undefined : 8);
+
+  // Bignum: tag 2/3 + big-endian bytes of the magnitude
+  let hex = magnitude.toString(16);
+  if (hex.length % 2) hex = '0' + hex;
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  writeHead(w, 6, negative ? TAG_NEG_BIGNUM : TAG_POS_BIGNUM);
+  writeHead(w, 2, bytes.length);
+  w.bytes(bytes);
+}
+
+function writeNumber(w, value, canonical) {
+  if (canonical) {
+    if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+      return value >= 0 ? writeHead(w, 0, value) : writeHead(w, 1, -1 - value);
+    }
+    return writeShortestFloat(w, value);
+  }
+  // cbor-x: integers in the uint32 or int32 range, everything else float64
+  if (Number.isInteger(value) && value >= 0 && value <= 0xffffffff) return writeHead(w, 0, value);
+  if (Number.isInteger(value) && value < 0 && value >= -0x80000000) return writeHead(w, 1, -1 - value);
+  writeFloat64(w, value);
+}
+
+function writeMapEntries(w, entries, canonical) {
+  if (!canonical) {
+    for (const [key, value] of entries) {
+      writeValue(w, key, canonical);
+      writeValue(w, value, canonical);
+    }
+    return;
+  }
+  // Deterministic: sort by the bytewise order of the encoded keys
+  const encoded = entries.map(([key, value]) => [encode(key, { canonical }), value]);
+  encoded.sort(([a], [b]) => compareBytes(a, b));
+  for (let i = 1; i < encoded.length; i++) {
+    if (compareBytes(encoded[i - 1][0], encoded[i][0]) === 0) throw new Error('duplicate map key in canonical CBOR');
+  }
+  for (const [key, value] of encoded) {
+    w.bytes(key);
+    writeValue(w, value, canonical);
+  }
+}
+
+function compareBytes(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function writeValue(w, value, canonical) {
+  switch (typeof value) {
+    case 'number':
+      return writeNumber(w, value, canonical);
+    case 'bigint':
+      return writeBigInt(w, value, canonical);
+    case 'string': {
+      const bytes = new TextEncoder().encode(value);
+      writeHead(w, 3, bytes.length);
+      return w.bytes(bytes);
+    }
+    case 'boolean':
+      return w.byte(value ? 0xf5 : 0xf4);
+    case 'undefined':
+      return w.byte(0xf7);
+    default:
+      break;
+  }
+
+  if (value === null) return w.byte(0xf6);
+
+  if (value instanceof Uint8Array) {
+    // cbor-x tags plain Uint8Arrays (not Buffers) as typed arrays
+    const isBuffer = typeof Buffer !== 'undefined' && Buffer.isBuffer(value);
+    if (!canonical && !isBuffer) writeHead(w, 6, TAG_UINT8_ARRAY);
+    writeHead(w, 2, value.length);
+    return w.bytes(value);
+  }
+
+  if (Array.isArray(value)) {
+    writeHead(w, 4, value.length);
+    for (const item of value) writeValue(w, item, canonical);
+    return;
+  }
+
+  if (value instanceof Map) {
+    if (!canonical) writeHead(w, 6, TAG_MAP);
+    writeHead(w, 5, value.size);
+    return writeMapEntries(w, [...value.entries()], canonical);
+  }
+
+  if (value instanceof Tagged) {
+    writeHead(w, 6, value.tag);
+    return writeValue(w, value.value, canonical);
+  }
+
+  if (typeof value === 'object' && isPlainObject(value)) {
+    const entries = Object.entries(value);
+    // cbor-x reserves a 16-bit count for objects
+    const size = canonical ? undefined : entries.length <= 0xffff ? 2 : 4;
+    writeHead(w, 5, entries.length, size);
+    return writeMapEntries(w, entries, canonical);
+  }
+
+  throw new Error(`unsupported CBOR type: ${Object.prototype.toString.call(value)}`);
+}
+
+function encode(value, { canonical = false } = {}) {
+  const w = new Writer();
+  writeValue(w, value, canonical);
+  return w.result();
+}
+
+// === Decoder ===
+const BREAK = Symbol('break');
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+  }
+
+  need(length) {
+    if (this.pos + length > this.bytes.length) throw new Error(`unexpected end of CBOR data at byte ${this.pos}`);
+  }
+
+  uint8() {
+    this.need(1);
+    return this.bytes[this.pos++];
+  }
+
+  take(length) {
+    this.need(length);
+    const out = this.bytes.slice(this.pos, this.pos + length);
+    this.pos += length;
+    return out;
+  }
+
+  // Argument of a head: Number when 1-4 bytes, BigInt when 8 bytes; null for indefinite
+  argument(info) {
+    if (info < 24) return info;
+    const start = this.pos;
+    switch (info) {
+      case 24: return this.uint8();
+      case 25: this.need(2); this.pos += 2; return this.view.getUint16(start);
+      case 26: this.need(4); this.pos += 4; return this.view.getUint32(start);
+      case 27: this.need(8); this.pos += 8; return this.view.getBigUint64(start);
+      case 31: return null;
+      default: throw new Error(`invalid CBOR additional info ${info} at byte ${start - 1}`);
+    }
+  }
+}
+
+function toLength(argument) {
+  const length = Number(argument);
+  if (!Number.isSafeInteger(length)) throw new Error('CBOR length too large');
+  return length;
+}
+
+function readHalf(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+// Byte/text string chunks of an indefinite-length string
+function readChunks(r, major) {
+  const chunks = [];
+  for (;;) {
+    const initial = r.uint8();
+    if (initial === 0xff) return chunks;
+    if (initial >> 5 !== major || (initial & 0x1f) === 31) throw new Error('invalid chunk in indefinite-length CBOR string');
+    chunks.push(r.take(toLength(r.argument(initial & 0x1f))));
+  }
+}
+
+function concatChunks(chunks) {
+  const w = new Writer();
+  for (const chunk of chunks) w.bytes(chunk);
+  return w.result();
+}
+
+function bigIntFromBytes(bytes) {
+  let value = 0n;
+  for (const byte of bytes) value = (value << 8n) | BigInt(byte);
+  return value;
+}
+
+function readTagged(tag, value) {
+  switch (tag) {
+    case TAG_DATE_EPOCH:
+      return new Date(Number(value) * 1000);
+    case TAG_POS_BIGNUM:
+      return bigIntFromBytes(value);
+    case TAG_NEG_BIGNUM:
+      return -1n - bigIntFromBytes(value);
+    case TAG_UINT8_ARRAY:
+      return new Uint8Array(value);
+    case TAG_MAP:
+      return value instanceof Map ? value : new Map(Object.entries(value));
+    default:
+      return new Tagged(tag, value);
+  }
+}
+
+function readItem(r, { inMapTag = false } = {}) {
+  const start = r.pos;
+  const initial = r.uint8();
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (initial === 0xff) return BREAK;
+  if (major === 7) {
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 25: { const bits = r.argument(25); return readHalf(bits); }
+      case 26: r.need(4); r.pos += 4; return r.view.getFloat32(start + 1);
+      case 27: r.need(8); r.pos += 8; return r.view.getFloat64(start + 1);
+      default: throw new Error(`unsupported CBOR simple value ${info} at byte ${start}`);
+    }
+  }
+
+  const argument = r.argument(info);
+  if (argument === null && (major === 0 || major === 1 || major === 6)) {
+    throw new Error(`indefinite length not allowed for major type ${major} at byte ${start}`);
+  }
+
+  switch (major) {
+    case 0:
+      return argument;
+    case 1:
+      return typeof argument === 'bigint' ? -1n - argument : -1 - argument;
+    case 2: {
+      const bytes = argument === null ? concatChunks(readChunks(r, 2)) : r.take(toLength(argument));
+      // Untagged byte strings come back as Buffers (as with cbor-x), so they re-encode untagged
+      return typeof Buffer !== 'undefined' ? Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length) : bytes;
+    }
+    case 3: {
+      const bytes = argument === null ? concatChunks(readChunks(r, 3)) : r.take(toLength(argument));
+      return new TextDecoder().decode(bytes);
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; argument === null || i < argument; i++) {
+        const item = readItem(r);
+        if (item === BREAK) {
+          if (argument === null) break;
+          throw new Error(`unexpected break in CBOR array at byte ${r.pos - 1}`);
+        }
+        items.push(item);
+      }
+      return items;
+    }
+    case 5: {
+      const map = inMapTag ? new Map() : {};
+      for (let i = 0; argument === null || i < argument; i++) {
+        const key = readItem(r);
+        if (key === BREAK) {
+          if (argument === null) break;
+          throw new Error(`unexpected break in CBOR map at byte ${r.pos - 1}`);
+        }
+        const value = readItem(r);
+        if (value === BREAK) throw new Error(`CBOR map key without value at byte ${r.pos - 1}`);
+        if (inMapTag) map.set(key, value);
+        else map[key] = value;
+      }
+      return map;
+    }
+    case 6: {
+      const tag = Number(argument);
+      const value = readItem(r, { inMapTag: tag === TAG_MAP });
+      if (value === BREAK) throw new Error(`CBOR tag ${tag} without content at byte ${start}`);
+      return readTagged(tag, value);
+    }
+    default:
+      throw new Error(`invalid CBOR major type ${major} at byte ${start}`);
+  }
+}
+
+function decode(bytes) {
+  const r = new Reader(bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes));
+  const value = readItem(r);
+  if (value === BREAK) throw new Error('unexpected CBOR break at byte 0');
+  if (r.pos !== r.bytes.length) throw new Error(`${r.bytes.length - r.pos} trailing bytes after CBOR item`);
+  return value;
+}
+
+// Export for Node.js/CommonJS
+module.exports = { encode, decode, Tagged };
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encode, decode, Tagged } = require('./cbor.js');
+
+let cborX = null;
+try {
+  cborX = require('cbor-x');
+} catch (error) {
+  // Optional reference encoder; the byte-equality test is skipped without it
+}
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+const fromHex = (value) => Uint8Array.from(Buffer.from(value, 'hex'));
+
+test('canonical mode sorts map keys by their encoded bytes', () => {
+  // 'b' (0x61 62) sorts before 'aa' (0x62 61 61): shorter encodings first
+  assert.equal(hex(encode({ aa: 1, b: 2 }, { canonical: true })), 'a261620262616101');
+  assert.equal(hex(encode(new Map([[10, 'x'], [-1, 'y'], [2, 'z']]), { canonical: true })), 'a302617a0a6178206179');
+  assert.throws(() => encode(new Map([[1, 'a'], [1n, 'b']]), { canonical: true }), /duplicate map key/);
+});
+
+test('canonical mode uses the shortest float that keeps the value', () => {
+  assert.equal(hex(encode(1.5, { canonical: true })), 'f93e00');
+  assert.equal(hex(encode(100000.5, { canonical: true })), 'fa47c35040');
+  assert.equal(hex(encode(1.1, { canonical: true })), 'fb3ff199999999999a');
+  assert.equal(hex(encode(-0, { canonical: true })), 'f98000');
+  assert.equal(hex(encode(Infinity, { canonical: true })), 'f97c00');
+  // Integral numbers are integers, also beyond 32 bits
+  assert.equal(hex(encode(2 ** 40, { canonical: true })), '1b0000010000000000');
+  assert.equal(hex(encode(2 ** 40)), 'fb4270000000000000');
+});
+
+test('canonical mode leaves byte strings and maps untagged', () => {
+  assert.equal(hex(encode(Uint8Array.of(1, 2), { canonical: true })), '420102');
+  assert.equal(hex(encode(Uint8Array.of(1, 2))), 'd840420102');
+  assert.equal(hex(encode(Buffer.from([1, 2]))), '420102');
+  assert.equal(hex(encode(new Map([[1, 2]]), { canonical: true })), 'a10102');
+  assert.equal(hex(encode(new Map([[1, 2]]))), 'd90103a10102');
+  assert.equal(hex(encode({ a: 1 })), 'b90001616101');
+});
+
+test('encodes negative, 64-bit and BigInt integers', () => {
+  assert.equal(hex(encode(-1)), '20');
+  assert.equal(hex(encode(-500)), '3901f3');
+  assert.equal(hex(encode(-0x80000000)), '3a7fffffff');
+  assert.equal(hex(encode(0xffffffff)), '1affffffff');
+  assert.equal(hex(encode(5n)), '1b0000000000000005');
+  assert.equal(hex(encode(5n, { canonical: true })), '05');
+  assert.equal(hex(encode(-5n)), '3b0000000000000004');
+  assert.equal(hex(encode((1n << 64n) - 1n)), '1bffffffffffffffff');
+  assert.deepEqual(decode(fromHex('1bffffffffffffffff')), (1n << 64n) - 1n);
+  assert.equal(decode(fromHex('3901f3')), -500);
+  assert.equal(decode(fromHex('3b0000000000000004')), -5n);
+});
+
+test('integers beyond 64 bits use bignum tags 2 and 3', () => {
+  assert.equal(hex(encode(1n << 64n)), 'c249010000000000000000');
+  assert.equal(hex(encode(-(1n << 64n) - 1n, { canonical: true })), 'c349010000000000000000');
+  // cbor-x already switches to a bignum at -2^64
+  assert.equal(hex(encode(-(1n << 64n))), 'c348ffffffffffffffff');
+  assert.equal(hex(encode(-(1n << 64n), { canonical: true })), '3bffffffffffffffff');
+  assert.equal(decode(fromHex('c249010000000000000000')), 1n << 64n);
+  assert.equal(decode(fromHex('c349010000000000000000')), -(1n << 64n) - 1n);
+});
+
+test('decodes tag 259 to a Map and other tags to Tagged', () => {
+  const map = decode(fromHex('d90103a2016161616b6176'));
+  assert.ok(map instanceof Map);
+  assert.deepEqual([...map], [[1, 'a'], ['k', 'v']]);
+  assert.deepEqual(decode(fromHex('a2016161616b6176')), { 1: 'a', k: 'v' });
+  assert.deepEqual(decode(encode(new Map([[2, 'x']]))), new Map([[2, 'x']]));
+
+  const tagged = decode(fromHex('d82063666f6f'));
+  assert.ok(tagged instanceof Tagged);
+  assert.deepEqual([tagged.tag, tagged.value], [32, 'foo']);
+  assert.equal(hex(encode(new Tagged(32, 'foo'))), 'd82063666f6f');
+});
+
+test('decodes indefinite-length strings, arrays and maps', () => {
+  assert.deepEqual(decode(fromHex('5f42010243030405ff')), Buffer.from([1, 2, 3, 4, 5]));
+  assert.equal(decode(fromHex('7f626b6163737061ff')), 'kaspa');
+  assert.deepEqual(decode(fromHex('9f0102820304ff')), [1, 2, [3, 4]]);
+  assert.deepEqual(decode(fromHex('bf6161016162f5ff')), { a: 1, b: true });
+  assert.throws(() => decode(fromHex('5f6161ff')), /invalid chunk in indefinite-length CBOR string/);
+  assert.throws(() => decode(fromHex('1f')), /indefinite length not allowed for major type 0/);
+});
+
+test('rejects truncated input, trailing bytes and reserved additional info', () => {
+  assert.throws(() => decode(fromHex('1a0001')), /unexpected end of CBOR data/);
+  assert.throws(() => decode(fromHex('636162')), /unexpected end of CBOR data/);
+  assert.throws(() => decode(fromHex('830102')), /unexpected end of CBOR data/);
+  assert.throws(() => decode(fromHex('0102')), /1 trailing bytes after CBOR item/);
+  for (const initial of ['1c', '1d', '1e', '3c', '5d', '7e']) {
+    assert.throws(() => decode(fromHex(initial + '00')), /invalid CBOR additional info (28|29|30)/, initial);
+  }
+});
+
+test('default encoding matches cbor-x byte for byte', { skip: !cborX && 'cbor-x is not installed' }, () => {
+  const values = [
+    { v: 1, c: 202555, a: Uint8Array.from({ length: 20 }, (_, i) => i), s: Uint8Array.from({ length: 64 }, (_, i) => 255 - i) },
+    [0, 23, 24, 255, 256, 65535, 65536, 0xffffffff, 2 ** 32, -1, -24, -25, -0x80000000, -0x80000001],
+    [1.5, -0, 0.1, NaN, Infinity, 1e300],
+    [5n, -5n, (1n << 64n) - 1n, 1n << 64n, -(1n << 64n), -(1n << 64n) - 1n, 1n << 100n],
+    ['', 'kasplex', 'é✓', 'x'.repeat(300)],
+    [true, false, null, undefined, Buffer.from([1, 2, 3]), new Uint8Array(0)],
+    new Map([[1, 'a'], ['k', [1, 2]]]),
+    { nested: { deeper: [{ a: null }] }, list: [] },
+  ];
+  for (const value of values) {
+    assert.equal(hex(encode(value)), hex(cborX.encode(value)));
+  }
+});
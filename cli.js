@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+// === kat-bridge CLI ===
+// Command-line front end for the bridge modules, for ops scripts:
+//
+//   kat-bridge generate  Build a deposit redeem script
+//   kat-bridge parse     Decode a redeem or signature script (--batch: many, as JSONL)
+//   kat-bridge validate  Check a deposit script against the relayer acceptance rules
+//   kat-bridge disasm    Annotated opcode listing of a redeem or signature script
+//   kat-bridge p2sh      P2SH commit address of a redeem script
+//   kat-bridge burn      Burn ERC-20 tokens on L2 for release on Kaspa
+//   kat-bridge fee       Current bridge fee
+//   kat-bridge pairs     Bridgeable token pairs
+//
+// Global options: --network <mainnet|testnet|local> (default: KAT_BRIDGE_NETWORK
+// or mainnet), --json for machine-readable output on stdout, --help.
+// Exit codes: 0 success, 1 command failed, 2 invalid usage.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { generateBridgeScript, bytesToHex, hexToBytes } = require('./generate-script.js');
+const { parseBridgeScript } = require('./envelope-decoder.js');
+const { parseBatch, jsonReplacer } = require('./batch-parse.js');
+const { validateBridgeEnvelope } = require('./envelope-validator.js');
+const { disassembleScript, formatDisassembly } = require('./script-disassembler.js');
+const { BridgeApiClient } = require('./bridge-api.js');
+const { burnTokens } = require('./from_l2_to_l1.js');
+const { getNetwork } = require('./networks.js');
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2,
+};
+
+const GLOBAL_OPTIONS = {
+  network: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// === Helpers ===
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+function toJson(value) {
+  return JSON.stringify(value, jsonReplacer, 2);
+}
+
+function readInput(path) {
+  return fs.readFileSync(path === '-' ? 0 : path, 'utf8');
+}
+
+// Script hex from the first positional, --script, or stdin ('-')
+function readScriptHex(values, positionals) {
+  const source = positionals[0] || values.script;
+  if (!source) throw usageError('a script is required (hex argument, --script <hex>, or - for stdin)');
+  const hex = (source === '-' ? readInput('-') : source).trim();
+  if (!/^(0x)?([0-9a-fA-F]{2})+$/.test(hex)) throw usageError('script must be a hex string');
+  return hex;
+}
+
+function resolveNetwork(values) {
+  try {
+    return getNetwork(values.network);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+function apiClientFor(network) {
+  if (!network.apiUrl) throw new Error(`network "${network.name}" has no bridge API`);
+  return new BridgeApiClient({ baseUrl: network.apiUrl });
+}
+
+// === Commands ===
+async function runGenerate(values, positionals, network) {
+  const params = values.input ? JSON.parse(readInput(values.input)) : {};
+
+  // --multisig <m> takes every --public-key as a cosigner; otherwise the last one is the owner
+  const publicKeys = values['public-key'] || [];
+  if (values.multisig) {
+    params.multisig = { publicKeys, required: Number(values.multisig), ecdsa: Boolean(values.ecdsa) };
+  } else if (publicKeys.length > 0) {
+    params.publicKey = publicKeys[publicKeys.length - 1];
+  }
+  if (values['chain-id']) params.chainId = Number(values['chain-id']);
+  if (values['l2-address']) params.l2Address = values['l2-address'];
+  if (values['signature-rs']) params.signatureRS = values['signature-rs'];
+  if (values.tick) params.token = { mode: 'mint', tick: values.tick };
+  if (values.ca) params.token = { mode: 'issue', ca: values.ca };
+  if (values.amount) params.amount = values.amount;
+  if (values['amount-decimal']) params.amountDecimal = values['amount-decimal'];
+  if (values.decimals) params.decimals = Number(values.decimals);
+  if (values['vault-address']) params.vaultAddress = values['vault-address'];
+  if (values['max-push-size']) params.maxPushSize = Number(values['max-push-size']);
+  if (values.symbol) params.tokenPair = await apiClientFor(network).getTokenPair({ symbol: values.symbol });
+
+  if (typeof params.publicKey === 'string') params.publicKey = hexToBytes(params.publicKey);
+  params.chainId = params.chainId || network.chainId;
+  params.network = network;
+
+  const script = generateBridgeScript(params);
+  return { script: bytesToHex(script), length: script.length };
+}
+
+function formatGenerate(result) {
+  return `Script (${result.length} bytes): ${result.script}`;
+}
+
+async function runParse(values, positionals) {
+  // Batch results stream straight to the output; only the summary goes to stderr
+  if (values.batch) {
+    const summary = await parseBatch({ input: positionals[0] || '-', output: values.output || '-' });
+    console.error(`Parsed ${summary.total} scripts: ${summary.ok} ok, ${summary.failed} failed`);
+    return undefined;
+  }
+
+  const decoded = parseBridgeScript(readScriptHex(values, positionals));
+  return { ...decoded, redeemScript: bytesToHex(decoded.redeemScript) };
+}
+
+function formatParse(decoded) {
+  const lines = [];
+  if (decoded.multisig) {
+    const { required, publicKeys, ecdsa } = decoded.multisig;
+    lines.push(`Multisig:     ${required}-of-${publicKeys.length}${ecdsa ? ' (ECDSA)' : ''}`);
+    for (const key of publicKeys) lines.push(`  Key:        ${key}`);
+  } else {
+    lines.push(`Public key:   ${decoded.xOnlyPublicKey}`);
+  }
+  lines.push(`Protocol:     ${decoded.protocol}`);
+  if (decoded.blob) {
+    lines.push(
+      `Version:      ${decoded.blob.version}`,
+      `Chain ID:     ${decoded.blob.chainId}`,
+      `L2 address:   ${decoded.blob.l2Address}`,
+      `Signature:    ${decoded.blob.signatureRS}`,
+    );
+  }
+  if (decoded.token) {
+    lines.push(decoded.token.mode === 'issue' ? `Contract (ca): ${decoded.token.ca}` : `Ticker:       ${decoded.token.tick}`);
+  }
+  lines.push(`Content:      ${decoded.contentJson}`);
+  return lines.join('\n');
+}
+
+// Token-pair rules need the pair list; --offline (or a network without an API) skips them
+async function runValidate(values, positionals, network) {
+  const tokenPairs = values.offline || !network.apiUrl ? undefined : await apiClientFor(network).getTokenPairs();
+  const vaultAddress = values['vault-address'];
+  const { valid, violations, skipped } = validateBridgeEnvelope(readScriptHex(values, positionals), { network, tokenPairs, vaultAddress });
+  return { valid, violations, skipped };
+}
+
+function formatValidate(result) {
+  const lines = [result.valid ? '✅ Envelope is valid' : `❌ ${result.violations.length} rule violation(s):`];
+  for (const { rule, message } of result.violations) lines.push(`  ${rule}: ${message}`);
+  if (result.skipped.length > 0) lines.push(`Not checked: ${result.skipped.join(', ')}`);
+  return lines.join('\n');
+}
+
+async function runDisasm(values, positionals) {
+  return disassembleScript(readScriptHex(values, positionals));
+}
+
+function formatDisasm(disassembly) {
+  return `${formatDisassembly(disassembly)}\n\n${disassembly.asm}`;
+}
+
+async function runP2sh(values, positionals, network) {
+  // The Kaspa WASM SDK is only needed here, so load it lazily
+  const { p2shAddressFromRedeem } = require('./p2sh-decoder.js');
+  const address = p2shAddressFromRedeem(hexToBytes(readScriptHex(values, positionals)), network.kaspaNetwork);
+  return { address, network: network.name };
+}
+
+function formatP2sh(result) {
+  return result.address;
+}
+
+async function runBurn(values, positionals, network) {
+  const privateKey = values['private-key'] || process.env.KAT_BRIDGE_PRIVATE_KEY;
+  if (!privateKey) throw usageError('--private-key or KAT_BRIDGE_PRIVATE_KEY is required');
+  if (!values['kaspa-address']) throw usageError('--kaspa-address is required');
+  if (!values.amount && !values['amount-decimal']) throw usageError('--amount or --amount-decimal is required');
+  if (!values.token && !values.symbol && !values.ca) throw usageError('--token, --symbol or --ca is required');
+
+  // Look the pair up when the network has a bridge API; local devnets burn by --token only
+  let tokenPair;
+  if (network.apiUrl) {
+    tokenPair = await apiClientFor(network).getTokenPair({ symbol: values.symbol, ca: values.ca, l2Address: values.token });
+  } else if (!values.token) {
+    throw usageError(`network "${network.name}" has no bridge API; pass --token`);
+  }
+
+  // Progress goes to stderr so stdout only carries the result
+  const result = await burnTokens({
+    privateKey,
+    tokenAddress: values.token,
+    tokenPair,
+    amount: values.amount,
+    amountDecimal: values['amount-decimal'],
+    kaspaAddress: values['kaspa-address'],
+    burnFee: values['burn-fee'],
+    approval: values.approval,
+    network,
+    logger: { log: console.error, error: console.error },
+  });
+  if (!result.success) throw new Error(result.error);
+
+  return {
+    hash: result.hash,
+    blockNumber: result.receipt.blockNumber,
+    burnFee: result.steps.fee.burnFee,
+    approveHash: result.steps.approve ? result.steps.approve.hash : null,
+  };
+}
+
+function formatBurn(result) {
+  return `Burned in ${result.hash} (block ${result.blockNumber})`;
+}
+
+async function runFee(values, positionals, network) {
+  return apiClientFor(network).getBridgeFee();
+}
+
+function formatFee(fee) {
+  return `${fee.bridgeFeeInKas} KAS (${fee.bridgeFeeInSompi} sompi, ${fee.bridgeFeeWei} wei)`;
+}
+
+async function runPairs(values, positionals, network) {
+  const pairs = await apiClientFor(network).getTokenPairs();
+  return values.all ? pairs : pairs.filter((pair) => pair.is_active);
+}
+
+function formatPairs(pairs) {
+  return pairs
+    .map((p) => `${p.l1_symbol.padEnd(12)} ${p.l2_address}  decimals ${p.l1_decimals}/${p.l2_decimals}${p.is_active ? '' : '  (inactive)'}`)
+    .join('\n');
+}
+
+const COMMANDS = {
+  generate: {
+    run: runGenerate,
+    format: formatGenerate,
+    usage: 'kat-bridge generate [--input <file.json|->] (--public-key <hex> | --multisig <m> --public-key <hex>... [--ecdsa]) --l2-address <0x..> --signature-rs <hex> (--tick <tick> | --ca <ca> | --symbol <symbol>) (--amount <units> | --amount-decimal <n>) [--chain-id <id>] [--decimals <n>] [--vault-address <addr>] [--max-push-size <bytes>]',
+    options: {
+      input: { type: 'string' },
+      'public-key': { type: 'string', multiple: true },
+      multisig: { type: 'string' },
+      ecdsa: { type: 'boolean' },
+      'chain-id': { type: 'string' },
+      'l2-address': { type: 'string' },
+      'signature-rs': { type: 'string' },
+      tick: { type: 'string' },
+      ca: { type: 'string' },
+      symbol: { type: 'string' },
+      amount: { type: 'string' },
+      'amount-decimal': { type: 'string' },
+      decimals: { type: 'string' },
+      'vault-address': { type: 'string' },
+      'max-push-size': { type: 'string' },
+    },
+  },
+  parse: {
+    run: runParse,
+    format: formatParse,
+    usage: 'kat-bridge parse <hex | -> [--script <hex>] | kat-bridge parse --batch [<file> | -] [--output <file>]',
+    options: {
+      script: { type: 'string' },
+      batch: { type: 'boolean' },
+      output: { type: 'string' },
+    },
+  },
+  validate: {
+    run: runValidate,
+    format: formatValidate,
+    exitCode: (result) => (result.valid ? EXIT_CODES.OK : EXIT_CODES.FAILURE),
+    usage: 'kat-bridge validate <hex | -> [--script <hex>] [--offline] [--vault-address <addr>]',
+    options: {
+      script: { type: 'string' },
+      offline: { type: 'boolean' },
+      'vault-address': { type: 'string' },
+    },
+  },
+  disasm: {
+    run: runDisasm,
+    format: formatDisasm,
+    usage: 'kat-bridge disasm <hex | -> [--script <hex>]',
+    options: { script: { type: 'string' } },
+  },
+  p2sh: {
+    run: runP2sh,
+    format: formatP2sh,
+    usage: 'kat-bridge p2sh <redeem hex | -> [--script <hex>]',
+    options: { script: { type: 'string' } },
+  },
+  burn: {
+    run: runBurn,
+    format: formatBurn,
+    usage: 'kat-bridge burn (--token <0x..> | --symbol <symbol> | --ca <ca>) (--amount <wei> | --amount-decimal <n>) --kaspa-address <addr> [--private-key <0x..>] [--burn-fee <wei>] [--approval exact|unlimited|none]',
+    options: {
+      'private-key': { type: 'string' },
+      token: { type: 'string' },
+      symbol: { type: 'string' },
+      ca: { type: 'string' },
+      amount: { type: 'string' },
+      'amount-decimal': { type: 'string' },
+      'kaspa-address': { type: 'string' },
+      'burn-fee': { type: 'string' },
+      approval: { type: 'string', default: 'exact' },
+    },
+  },
+  fee: {
+    run: runFee,
+    format: formatFee,
+    usage: 'kat-bridge fee',
+    options: {},
+  },
+  pairs: {
+    run: runPairs,
+    format: formatPairs,
+    usage: 'kat-bridge pairs [--all]',
+    options: { all: { type: 'boolean' } },
+  },
+};
+
+function usage() {
+  return [
+    'Usage: kat-bridge <command> [options]',
+    '',
+    ...Object.values(COMMANDS).map((command) => `  ${command.usage}`),
+    '',
+    'Options: --network <mainnet|testnet|local>, --json, --help',
+    'Exit codes: 0 success, 1 command failed, 2 invalid usage',
+  ].join('\n');
+}
+
+// === Main Function ===
+// Runs one command and returns its exit code
+async function main(argv = process.argv.slice(2), { stdout = console.log, stderr = console.error } = {}) {
+  const [name, ...rest] = argv;
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    stdout(usage());
+    return name ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+
+  let json = rest.includes('--json');
+  const command = COMMANDS[name];
+  try {
+    if (!command) throw usageError(`unknown command "${name}"`);
+
+    let parsed;
+    try {
+      parsed = parseArgs({ args: rest, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true });
+    } catch (error) {
+      throw usageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    json = Boolean(values.json);
+    if (values.help) {
+      stdout(`Usage: ${command.usage}`);
+      return EXIT_CODES.OK;
+    }
+
+    const result = await command.run(values, positionals, resolveNetwork(values));
+    // Commands that stream their own output return nothing
+    if (result !== undefined) stdout(json ? toJson(result) : command.format(result));
+    return command.exitCode ? command.exitCode(result) : EXIT_CODES.OK;
+  } catch (error) {
+    const exitCode = error.exitCode || EXIT_CODES.FAILURE;
+    if (json) stdout(toJson({ error: error.message }));
+    else stderr(`❌ Error: ${error.message}`);
+    if (exitCode === EXIT_CODES.USAGE && !json) stderr(command ? `Usage: ${command.usage}` : usage());
+    return exitCode;
+  }
+}
+
+// Export for Node.js/CommonJS
+module.exports = { main, EXIT_CODES };
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main().then((code) => {
+    process.exitCode = code;
+  });
+}
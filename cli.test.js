@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { main, EXIT_CODES } = require('./cli.js');
+const { generateBridgeScript, bytesToHex } = require('./generate-script.js');
+
+const OTHER = 'kaspa:qppyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyyl93f3r9r';
+const PARAMS = {
+  publicKey: new Uint8Array(32).fill(1),
+  chainId: 202555,
+  l2Address: '0x' + '00'.repeat(19) + 'aa',
+  signatureRS: '0x' + '11'.repeat(64),
+  token: { mode: 'mint', tick: 'NACHO' },
+  amount: 100000000n,
+  network: 'mainnet',
+};
+const SCRIPT = bytesToHex(generateBridgeScript(PARAMS));
+
+// Runs the CLI on mainnet and captures what it prints
+async function run(...argv) {
+  const out = [];
+  const err = [];
+  const code = await main([...argv, '--network', 'mainnet'], { stdout: (line) => out.push(line), stderr: (line) => err.push(line) });
+  return { code, stdout: out.join('\n'), stderr: err.join('\n') };
+}
+
+test('generate prints the script and exits 0', async () => {
+  const { code, stdout, stderr } = await run(
+    'generate', '--public-key', '01'.repeat(32), '--l2-address', PARAMS.l2Address, '--signature-rs', PARAMS.signatureRS,
+    '--tick', 'NACHO', '--amount-decimal', '1', '--json'
+  );
+  assert.equal(code, EXIT_CODES.OK);
+  assert.equal(stderr, '');
+  assert.deepEqual(JSON.parse(stdout), { script: SCRIPT, length: (SCRIPT.length - 2) / 2 });
+});
+
+test('parse decodes a script given as an argument', async () => {
+  const { code, stdout } = await run('parse', SCRIPT);
+  assert.equal(code, EXIT_CODES.OK);
+  assert.match(stdout, /Ticker: {7}NACHO/);
+  assert.match(stdout, /Chain ID: {5}202555/);
+});
+
+test('validate exits 0 for a valid envelope and 1 for rule violations', async () => {
+  const valid = await run('validate', SCRIPT, '--offline');
+  assert.equal(valid.code, EXIT_CODES.OK);
+  assert.match(valid.stdout, /Envelope is valid/);
+
+  const wrongVault = bytesToHex(generateBridgeScript({ ...PARAMS, to: OTHER }));
+  const invalid = await run('validate', wrongVault, '--offline', '--json');
+  assert.equal(invalid.code, EXIT_CODES.FAILURE);
+  const result = JSON.parse(invalid.stdout);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.violations.map((v) => v.rule), ['content.to']);
+});
+
+test('a failing command exits 1 with the error on stderr', async () => {
+  const { code, stdout, stderr } = await run('parse', '0x51');
+  assert.equal(code, EXIT_CODES.FAILURE);
+  assert.equal(stdout, '');
+  assert.match(stderr, /^❌ Error: /);
+  assert.doesNotMatch(stderr, /Usage:/);
+});
+
+test('--json reports errors as JSON on stdout', async () => {
+  const failure = await run('parse', '0x51', '--json');
+  assert.equal(failure.code, EXIT_CODES.FAILURE);
+  assert.equal(failure.stderr, '');
+  assert.equal(typeof JSON.parse(failure.stdout).error, 'string');
+
+  const usage = await run('parse', 'xyz', '--json');
+  assert.equal(usage.code, EXIT_CODES.USAGE);
+  assert.deepEqual(JSON.parse(usage.stdout), { error: 'script must be a hex string' });
+  assert.equal(usage.stderr, '');
+});
+
+test('argument errors exit 2 and print the usage', async () => {
+  const unknownCommand = await run('mint');
+  assert.equal(unknownCommand.code, EXIT_CODES.USAGE);
+  assert.match(unknownCommand.stderr, /unknown command "mint"[\s\S]*Usage: kat-bridge <command>/);
+
+  const unknownOption = await run('parse', SCRIPT, '--verbose');
+  assert.equal(unknownOption.code, EXIT_CODES.USAGE);
+  assert.match(unknownOption.stderr, /--verbose[\s\S]*Usage: kat-bridge parse/);
+
+  const missingScript = await run('disasm');
+  assert.equal(missingScript.code, EXIT_CODES.USAGE);
+  assert.match(missingScript.stderr, /a script is required/);
+
+  const missingAddress = await run('burn', '--private-key', '0x' + '01'.repeat(32), '--token', '0x' + 'cc'.repeat(20), '--amount', '1');
+  assert.equal(missingAddress.code, EXIT_CODES.USAGE);
+  assert.match(missingAddress.stderr, /--kaspa-address is required/);
+
+  const badNetwork = await main(['fee', '--network', 'devnet'], { stdout: () => {}, stderr: () => {} });
+  assert.equal(badNetwork, EXIT_CODES.USAGE);
+});
+
+test('help exits 0, no command exits 2', async () => {
+  const out = [];
+  assert.equal(await main(['--help'], { stdout: (line) => out.push(line) }), EXIT_CODES.OK);
+  assert.match(out[0], /^Usage: kat-bridge <command>/);
+  assert.equal(await main([], { stdout: () => {} }), EXIT_CODES.USAGE);
+  assert.equal((await run('generate', '--help')).stdout.startsWith('Usage: kat-bridge generate'), true);
+});
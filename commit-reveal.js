@@ -0,0 +1,286 @@
+// === Kaspa Bridge Commit/Reveal Transaction Builder ===
+// Takes the redeem script produced by generateBridgeScript and turns it into
+// the two L1 transactions relayers look for:
+// - Commit: pays the user's UTXOs into the P2SH address of the redeem script
+// - Reveal: spends that P2SH output with <signature> <redeem script>,
+//   paying the bridge fee address (and optionally the vault)
+// Multisig-owned redeem scripts are revealed with partial signatures from
+// each cosigner (createPartialSignature / signMultisigRevealTransaction).
+
+const wasm = require('./kaspa-wasm32-sdk/nodejs/kaspa');
+const { p2shAddressFromRedeem } = require('./p2sh-decoder.js');
+const { generateBridgeScript } = require('./generate-script.js');
+const { buildMultisigSignatureScript, revealSigOpCount, cosignerKey } = require('./multisig.js');
+const { getNetwork, requireNetworkValue, NETWORKS } = require('./networks.js');
+
+// Kaspa Bridge L1 Config (mainnet addresses; other deployments: pass `network`)
+const L1_CONFIG = {
+  VAULT_ADDRESS: NETWORKS.mainnet.vaultAddress,
+  FEE_ADDRESS: NETWORKS.mainnet.feeAddress,
+  BRIDGE_FEE: 1000000000n, // 10 KAS in sompi
+  REVEAL_FEE_RESERVE: 30000000n, // 0.3 KAS left in the commit output to pay for the reveal
+  COMMIT_POLL_INTERVAL_MS: 1000,
+  COMMIT_TIMEOUT_MS: 120000,
+};
+
+// === Utility Functions ===
+function toPrivateKey(privateKey) {
+  return typeof privateKey === 'string' ? new wasm.PrivateKey(privateKey) : privateKey;
+}
+
+function toSompi(value, name) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number' && Number.isSafeInteger(value)) return BigInt(value);
+  if (typeof value === 'string' && /^\d+$/.test(value)) return BigInt(value);
+  throw new Error(`${name} must be an integer amount in sompi`);
+}
+
+function sameOutpoint(a, b) {
+  return a.transactionId === b.transactionId && Number(a.index) === Number(b.index);
+}
+
+function commitInputIndex(pending, commitEntry) {
+  const inputIndex = pending.transaction.inputs.findIndex(
+    (input) => sameOutpoint(input.previousOutpoint, commitEntry.outpoint)
+  );
+  if (inputIndex === -1) throw new Error('commit UTXO is not an input of this reveal transaction');
+  return inputIndex;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// `network` is a profile name from networks.js (default: KAT_BRIDGE_NETWORK or mainnet)
+// or a Kaspa network id such as 'testnet-10'
+function kaspaNetworkId(network) {
+  return getNetwork(network).kaspaNetwork;
+}
+
+// === Main Functions ===
+function getCommitAddress(redeemScript, network) {
+  return p2shAddressFromRedeem(redeemScript, kaspaNetworkId(network));
+}
+
+// Build (unsigned) commit transactions paying `commitAmount` into the P2SH address.
+// The commit output must cover everything the reveal pays out plus its network fee.
+async function buildCommitTransaction({
+  redeemScript,
+  entries,
+  changeAddress,
+  network,
+  bridgeFee = L1_CONFIG.BRIDGE_FEE,
+  vaultAmount = 0n,
+  commitAmount,
+  priorityFee = 0n,
+}) {
+  if (!entries || entries.length === 0) throw new Error('entries (user UTXOs) are required');
+  if (!changeAddress) throw new Error('changeAddress is required');
+
+  const commitAddress = getCommitAddress(redeemScript, network);
+  const amount = commitAmount !== undefined
+    ? toSompi(commitAmount, 'commitAmount')
+    : toSompi(bridgeFee, 'bridgeFee') + toSompi(vaultAmount, 'vaultAmount') + L1_CONFIG.REVEAL_FEE_RESERVE;
+
+  const { transactions, summary } = await wasm.createTransactions({
+    entries,
+    outputs: [{ address: commitAddress, amount }],
+    changeAddress,
+    priorityFee: toSompi(priorityFee, 'priorityFee'),
+    networkId: kaspaNetworkId(network),
+  });
+
+  return { commitAddress, commitAmount: amount, transactions, summary };
+}
+
+// Build (unsigned) reveal transactions that spend the commit UTXO first and
+// pay the bridge fee address; any remainder goes back to `changeAddress`.
+// `redeemScript` sets the sig-op count a multisig-owned P2SH input needs. The
+// generator declares one sig-op count for every input, so a multisig reveal
+// spends the commit UTXO alone: its `entries` must be empty.
+// `vaultAmount` is optional because the deposit itself is the KRC-20 transfer
+// to the vault inscribed in the envelope; the reveal only has to pay the bridge
+// fee. A KAS output to the vault is added only when `vaultAmount` is above 0.
+async function buildRevealTransaction({
+  redeemScript,
+  commitEntry,
+  entries = [],
+  changeAddress,
+  network,
+  bridgeFee = L1_CONFIG.BRIDGE_FEE,
+  feeAddress,
+  vaultAddress,
+  vaultAmount = 0n,
+  priorityFee = 0n,
+}) {
+  if (!redeemScript) throw new Error('redeemScript is required');
+  if (!commitEntry) throw new Error('commitEntry is required');
+  if (!changeAddress) throw new Error('changeAddress is required');
+
+  const sigOpCount = revealSigOpCount(redeemScript);
+  if (sigOpCount > 1 && entries.length > 0) {
+    throw new Error('a multisig reveal spends only the commit UTXO; pass no entries and fund the reveal through the commit output');
+  }
+
+  const profile = getNetwork(network);
+  feeAddress = feeAddress || requireNetworkValue(profile, 'feeAddress');
+
+  const outputs = [{ address: feeAddress, amount: toSompi(bridgeFee, 'bridgeFee') }];
+  const vault = toSompi(vaultAmount, 'vaultAmount');
+  if (vault > 0n) outputs.push({ address: vaultAddress || requireNetworkValue(profile, 'vaultAddress'), amount: vault });
+
+  const { transactions, summary } = await wasm.createTransactions({
+    priorityEntries: [commitEntry],
+    entries,
+    outputs,
+    changeAddress,
+    priorityFee: toSompi(priorityFee, 'priorityFee'),
+    sigOpCount,
+    networkId: profile.kaspaNetwork,
+  });
+
+  return { transactions, summary };
+}
+
+// Sign a reveal transaction: regular inputs with the user's key, and the P2SH
+// input with a signature script of <signature> <redeem script>.
+function signRevealTransaction(pending, { redeemScript, commitEntry, privateKey }) {
+  const key = toPrivateKey(privateKey);
+
+  // Sign the user's own inputs without requiring the P2SH input to be complete
+  pending.sign([key], false);
+
+  const inputIndex = commitInputIndex(pending, commitEntry);
+  const signature = pending.createInputSignature(inputIndex, key);
+  pending.fillInput(inputIndex, wasm.payToScriptHashSignatureScript(redeemScript, signature));
+  return pending;
+}
+
+// One cosigner's Schnorr signature over the P2SH input of a multisig reveal.
+// Every cosigner must sign the same reveal transaction (same inputs and outputs).
+// ECDSA-owned scripts are rejected (see cosignerKey in multisig.js).
+function createPartialSignature(pending, { redeemScript, commitEntry, privateKey }) {
+  const key = toPrivateKey(privateKey);
+  const publicKey = cosignerKey(redeemScript, key.toPublicKey().toXOnlyPublicKey().toString());
+  const inputIndex = commitInputIndex(pending, commitEntry);
+  return { publicKey, signature: pending.createInputSignature(inputIndex, key) };
+}
+
+// Complete a multisig reveal: fill its only input, the P2SH one, with
+// <signature>... <redeem script> built from the collected partial signatures.
+function signMultisigRevealTransaction(pending, { redeemScript, commitEntry, partialSignatures }) {
+  const inputIndex = commitInputIndex(pending, commitEntry);
+  pending.fillInput(inputIndex, buildMultisigSignatureScript({ redeemScript, partialSignatures }));
+  return pending;
+}
+
+// Poll the commit address until the commit transaction's output is visible.
+async function waitForCommitEntry(rpc, { commitAddress, commitTxId, timeoutMs = L1_CONFIG.COMMIT_TIMEOUT_MS, pollIntervalMs = L1_CONFIG.COMMIT_POLL_INTERVAL_MS }) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { entries } = await rpc.getUtxosByAddresses({ addresses: [commitAddress] });
+    const entry = entries.find((e) => e.outpoint.transactionId === commitTxId);
+    if (entry) return entry;
+    await sleep(pollIntervalMs);
+  }
+  throw new Error(`commit transaction ${commitTxId} not found at ${commitAddress} within ${timeoutMs}ms`);
+}
+
+// Full flow: commit from the key's own address, wait for the P2SH UTXO, then reveal.
+async function submitCommitReveal({
+  rpc,
+  privateKey,
+  redeemScript,
+  network,
+  bridgeFee = L1_CONFIG.BRIDGE_FEE,
+  feeAddress,
+  vaultAddress,
+  vaultAmount = 0n,
+  commitAmount,
+  priorityFee = 0n,
+  timeoutMs,
+}) {
+  const key = toPrivateKey(privateKey);
+  const address = key.toKeypair().toAddress(kaspaNetworkId(network)).toString();
+
+  // 1. Commit
+  const { entries } = await rpc.getUtxosByAddresses({ addresses: [address] });
+  if (!entries.length) throw new Error(`no UTXOs found for ${address}`);
+
+  const commit = await buildCommitTransaction({
+    redeemScript, entries, changeAddress: address, network, bridgeFee, vaultAmount, commitAmount, priorityFee,
+  });
+
+  let commitTxId;
+  for (const pending of commit.transactions) {
+    pending.sign([key]);
+    commitTxId = await pending.submit(rpc);
+  }
+
+  // 2. Wait for the P2SH output
+  const commitEntry = await waitForCommitEntry(rpc, { commitAddress: commit.commitAddress, commitTxId, timeoutMs });
+
+  // 3. Reveal
+  const { entries: revealEntries } = await rpc.getUtxosByAddresses({ addresses: [address] });
+  const reveal = await buildRevealTransaction({
+    redeemScript, commitEntry, entries: revealEntries, changeAddress: address, network, bridgeFee, feeAddress, vaultAddress, vaultAmount, priorityFee,
+  });
+
+  let revealTxId;
+  for (const pending of reveal.transactions) {
+    // Only the final transaction spends the commit UTXO; batch transactions are plain sweeps
+    const spendsCommit = pending.transaction.inputs.some((input) => sameOutpoint(input.previousOutpoint, commitEntry.outpoint));
+    if (spendsCommit) {
+      signRevealTransaction(pending, { redeemScript, commitEntry, privateKey: key });
+    } else {
+      pending.sign([key]);
+    }
+    revealTxId = await pending.submit(rpc);
+  }
+
+  return { commitAddress: commit.commitAddress, commitTxId, revealTxId };
+}
+
+// Export for Node.js/CommonJS
+module.exports = {
+  getCommitAddress,
+  buildCommitTransaction,
+  buildRevealTransaction,
+  signRevealTransaction,
+  createPartialSignature,
+  signMultisigRevealTransaction,
+  waitForCommitEntry,
+  submitCommitReveal,
+  L1_CONFIG,
+};
+
+// Run example if this file is executed directly
+if (require.main === module) {
+  (async () => {
+    globalThis.WebSocket = require('websocket').w3cwebsocket; // W3C WebSocket module shim
+
+    const network = getNetwork(); // KAT_BRIDGE_NETWORK, e.g. 'local' for a simnet node
+    const privateKey = new wasm.PrivateKey('...'); // ← Replace with your Kaspa private key (hex)
+    const redeemScript = generateBridgeScript({
+      publicKey: Uint8Array.from(Buffer.from(privateKey.toPublicKey().toString(), 'hex')), // 33-byte compressed key
+      chainId: network.chainId,
+      l2Address: '0x...',   // ← Replace with your L2 address
+      signatureRS: '0x...', // ← Replace with the 64-byte r+s of the KaspaBridgeDeposit signature
+      token: { mode: 'mint', tick: 'NACHO' },
+      amountDecimal: '1', // 1 NACHO; `to` defaults to the network's vault
+      network,
+    });
+
+    const rpc = network.kaspaRpcUrl
+      ? new wasm.RpcClient({ url: network.kaspaRpcUrl, networkId: network.kaspaNetwork })
+      : new wasm.RpcClient({ resolver: new wasm.Resolver(), networkId: network.kaspaNetwork });
+    await rpc.connect();
+    try {
+      const result = await submitCommitReveal({ rpc, privateKey, redeemScript, network });
+      console.log('✅ Commit:', result.commitTxId);
+      console.log('✅ Reveal:', result.revealTxId);
+    } finally {
+      await rpc.disconnect();
+    }
+  })().catch((error) => console.error('❌ Error:', error.message));
+}
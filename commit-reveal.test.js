@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const path = require('node:path');
+const { generateBridgeScript } = require('./generate-script.js');
+const { NETWORKS } = require('./networks.js');
+
+// The Kaspa WASM SDK is not bundled with the repo: commit-reveal.js and
+// p2sh-decoder.js load this stand-in, which records what they ask it to build.
+// Like the SDK's Generator, createTransactions gives every input the one
+// `sigOpCount` of its settings.
+const SDK_PATH = path.join(__dirname, 'kaspa-wasm32-sdk', 'nodejs', 'kaspa.js');
+const generated = [];
+const fakeSdk = {
+  payToScriptHashScript: (redeem) => ({ redeem: Buffer.from(redeem).toString('hex') }),
+  addressFromScriptPublicKey: (spk, network) => `${network}:p2sh-${spk.redeem.length / 2}`,
+  payToScriptHashSignatureScript: (redeem, signature) => `${signature}|${Buffer.from(redeem).toString('hex')}`,
+  async createTransactions(settings) {
+    generated.push(settings);
+    const entries = [...(settings.priorityEntries || []), ...settings.entries];
+    const inputs = entries.map((entry) => ({ previousOutpoint: entry.outpoint, sigOpCount: settings.sigOpCount ?? 1 }));
+    return { transactions: [fakePending(inputs, settings.outputs)], summary: {} };
+  },
+};
+
+function fakePending(inputs, outputs) {
+  return {
+    transaction: { inputs, outputs },
+    signed: [],
+    filled: {},
+    sign(keys, checkFullySigned = true) {
+      this.signed.push({ keys, checkFullySigned });
+    },
+    createInputSignature: (index, key) => `sig(${index},${key})`,
+    fillInput(index, signatureScript) {
+      this.filled[index] = signatureScript;
+    },
+  };
+}
+
+const sdk = new Module(SDK_PATH);
+sdk.filename = SDK_PATH;
+sdk.loaded = true;
+sdk.exports = fakeSdk;
+require.cache[SDK_PATH] = sdk;
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  if (request === './kaspa-wasm32-sdk/nodejs/kaspa') return SDK_PATH;
+  return resolveFilename.call(this, request, ...rest);
+};
+
+const { getCommitAddress, buildCommitTransaction, buildRevealTransaction, signRevealTransaction } = require('./commit-reveal.js');
+
+const KEYS = ['11', '22', '33'].map((byte) => byte.repeat(32));
+const BASE = {
+  chainId: 202555,
+  l2Address: '0x' + '00'.repeat(19) + 'aa',
+  signatureRS: '0x' + '11'.repeat(64),
+  token: { mode: 'mint', tick: 'NACHO' },
+  amount: 100000000n,
+};
+const singleRedeem = generateBridgeScript({ ...BASE, publicKey: Uint8Array.from(Buffer.from(KEYS[0], 'hex')) });
+const multisigRedeem = generateBridgeScript({ ...BASE, multisig: { publicKeys: KEYS, required: 2 } });
+
+const commitEntry = { outpoint: { transactionId: 'cc'.repeat(32), index: 0 }, amount: 1030000000n };
+const userEntry = { outpoint: { transactionId: 'ee'.repeat(32), index: 1 }, amount: 500000000n };
+const CHANGE = NETWORKS.mainnet.feeAddress;
+
+test('a single-key reveal declares one sig-op on every input', async () => {
+  const { transactions } = await buildRevealTransaction({ redeemScript: singleRedeem, commitEntry, entries: [userEntry], changeAddress: CHANGE });
+  assert.deepEqual(transactions[0].transaction.inputs.map((input) => input.sigOpCount), [1, 1]);
+});
+
+test('a multisig reveal spends the commit UTXO alone with one sig-op per key', async () => {
+  const { transactions } = await buildRevealTransaction({ redeemScript: multisigRedeem, commitEntry, changeAddress: CHANGE });
+  assert.deepEqual(transactions[0].transaction.inputs, [{ previousOutpoint: commitEntry.outpoint, sigOpCount: 3 }]);
+  assert.deepEqual(generated.at(-1).entries, []);
+
+  await assert.rejects(
+    buildRevealTransaction({ redeemScript: multisigRedeem, commitEntry, entries: [userEntry], changeAddress: CHANGE }),
+    /multisig reveal spends only the commit UTXO/
+  );
+});
+
+test('commits to the P2SH address of the redeem script', async () => {
+  const address = getCommitAddress(singleRedeem, 'mainnet');
+  assert.equal(address, `mainnet:p2sh-${singleRedeem.length}`);
+  assert.equal(getCommitAddress(singleRedeem, 'testnet'), `testnet-10:p2sh-${singleRedeem.length}`);
+
+  const commit = await buildCommitTransaction({ redeemScript: singleRedeem, entries: [userEntry], changeAddress: CHANGE, network: 'mainnet', vaultAmount: 5n });
+  assert.equal(commit.commitAddress, address);
+  // Bridge fee + vault amount + the reserve for the reveal's network fee
+  assert.equal(commit.commitAmount, 1000000000n + 5n + 30000000n);
+  assert.deepEqual(generated.at(-1).outputs, [{ address, amount: commit.commitAmount }]);
+  assert.equal(generated.at(-1).networkId, 'mainnet');
+});
+
+test('the reveal pays the fee address, and the vault only for a vaultAmount', async () => {
+  await buildRevealTransaction({ redeemScript: singleRedeem, commitEntry, changeAddress: CHANGE, network: 'mainnet' });
+  assert.deepEqual(generated.at(-1).outputs, [{ address: NETWORKS.mainnet.feeAddress, amount: 1000000000n }]);
+  assert.deepEqual(generated.at(-1).priorityEntries, [commitEntry]);
+
+  await buildRevealTransaction({ redeemScript: singleRedeem, commitEntry, changeAddress: CHANGE, network: 'mainnet', bridgeFee: 7, vaultAmount: '3' });
+  assert.deepEqual(generated.at(-1).outputs, [
+    { address: NETWORKS.mainnet.feeAddress, amount: 7n },
+    { address: NETWORKS.mainnet.vaultAddress, amount: 3n },
+  ]);
+
+  await assert.rejects(
+    buildRevealTransaction({ redeemScript: singleRedeem, commitEntry, changeAddress: CHANGE, network: 'testnet', vaultAmount: 3n }),
+    /network "testnet" has no feeAddress configured/
+  );
+});
+
+test('signRevealTransaction signs the user inputs, then fills the P2SH input with <signature> <redeem script>', async () => {
+  const { transactions } = await buildRevealTransaction({ redeemScript: singleRedeem, commitEntry, entries: [userEntry], changeAddress: CHANGE });
+  const pending = transactions[0];
+  // A PrivateKey object is used as is (a hex string would be wrapped in wasm.PrivateKey)
+  const key = { toString: () => 'user-key' };
+  assert.equal(signRevealTransaction(pending, { redeemScript: singleRedeem, commitEntry, privateKey: key }), pending);
+
+  assert.deepEqual(pending.signed, [{ keys: [key], checkFullySigned: false }]);
+  assert.deepEqual(pending.filled, { 0: `sig(0,user-key)|${Buffer.from(singleRedeem).toString('hex')}` });
+
+  const other = { outpoint: { transactionId: 'dd'.repeat(32), index: 0 }, amount: 1n };
+  assert.throws(() => signRevealTransaction(pending, { redeemScript: singleRedeem, commitEntry: other, privateKey: key }), /commit UTXO is not an input/);
+});
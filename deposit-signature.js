@@ -0,0 +1,145 @@
+// === KaspaBridgeDeposit EIP-712 Signing ===
+// Builds and signs the typed data the relayers expect in the EXTRA lane.
+// generateBridgeScript takes the 64-byte r+s of this signature (no v byte),
+// so verification recovers with both possible v values.
+
+const { hashTypedData, recoverAddress } = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { parseBridgeScript } = require('./envelope-decoder.js');
+const { getNetwork, requireNetworkValue, NETWORKS } = require('./networks.js');
+
+// Kaspa Bridge EIP-712 Config (mainnet; other deployments: pass `network`)
+const DEPOSIT_CONFIG = {
+  BRIDGE_ID_HASH: NETWORKS.mainnet.bridgeIdHash,
+  CHAIN_ID: NETWORKS.mainnet.chainId,
+};
+
+const DEPOSIT_TYPES = {
+  KaspaBridgeDeposit: [
+    { name: 'BridgeIdHash', type: 'bytes32' },
+    { name: 'ChainId', type: 'uint256' },
+    { name: 'L2', type: 'address' },
+    { name: 'TokenIdHash', type: 'bytes32' },
+    { name: 'Amount', type: 'uint256' },
+    { name: 'Nonce', type: 'uint256' },
+  ],
+};
+
+// === Main Functions ===
+// `amount` is in L1 base units (sompi for KAS), not L2 wei. `chainId` and
+// `bridgeIdHash` default to those of `network` (KAT_BRIDGE_NETWORK or mainnet).
+function buildDepositTypedData({ l2Address, tokenIdHash, amount, nonce, chainId, bridgeIdHash, network }) {
+  const profile = getNetwork(network);
+  chainId = chainId || profile.chainId;
+  bridgeIdHash = bridgeIdHash || requireNetworkValue(profile, 'bridgeIdHash');
+  if (!l2Address) throw new Error('l2Address is required');
+  if (!tokenIdHash) throw new Error('tokenIdHash is required');
+  if (amount === undefined || amount === null) throw new Error('amount is required');
+  if (nonce === undefined || nonce === null) throw new Error('nonce is required');
+
+  return {
+    domain: { name: 'KaspaBridge', version: '1', chainId: Number(chainId) },
+    types: DEPOSIT_TYPES,
+    primaryType: 'KaspaBridgeDeposit',
+    message: {
+      BridgeIdHash: bridgeIdHash,
+      ChainId: BigInt(chainId),
+      L2: l2Address,
+      TokenIdHash: tokenIdHash,
+      Amount: BigInt(amount),
+      Nonce: BigInt(nonce),
+    },
+  };
+}
+
+// Sign with a viem account/wallet client (`signer`) or a raw `privateKey`.
+// `l2Address` defaults to the signer's own address.
+async function signDepositMessage({ signer, privateKey, l2Address, tokenIdHash, amount, nonce, chainId, bridgeIdHash, network }) {
+  if (!signer && !privateKey) throw new Error('signer or privateKey is required');
+  const account = signer ? signer.account || signer : privateKeyToAccount(privateKey);
+  const signingClient = signer || account;
+
+  const typedData = buildDepositTypedData({
+    l2Address: l2Address || account.address,
+    tokenIdHash,
+    amount,
+    nonce,
+    chainId,
+    bridgeIdHash,
+    network,
+  });
+
+  // Wallet clients need the account passed explicitly; local accounts ignore it
+  const signature = await signingClient.signTypedData({ account, ...typedData });
+
+  // 65-byte signature: r (32) + s (32) + v (1)
+  const signatureRS = signature.slice(0, 2 + 128);
+  const v = parseInt(signature.slice(2 + 128, 2 + 130), 16);
+
+  return { typedData, signature, signatureRS, v };
+}
+
+// Check that the EXTRA lane signature recovers to the EXTRA lane L2 address.
+// `envelope` is a parseBridgeScript result or the script itself; the message
+// Amount is the CONTENT lane `amt`. Works fully offline.
+async function verifyDepositSignature({ envelope, tokenIdHash, nonce, bridgeIdHash, network }) {
+  const decoded = envelope && envelope.blob !== undefined ? envelope : parseBridgeScript(envelope);
+  if (!decoded.blob) throw new Error('envelope has no EXTRA lane');
+  const { chainId, l2Address, signatureRS } = decoded.blob;
+  if (!l2Address || !signatureRS) throw new Error('EXTRA lane is missing the L2 address or signature');
+  if (signatureRS.length !== 2 + 128) throw new Error('signature must be 64 bytes (r+s without v)');
+
+  const typedData = buildDepositTypedData({
+    l2Address,
+    tokenIdHash,
+    amount: decoded.content.amt,
+    nonce,
+    chainId,
+    bridgeIdHash,
+    network,
+  });
+  const hash = hashTypedData(typedData);
+
+  // v was stripped: try recovery id 0 (v=27) and 1 (v=28)
+  const candidates = [];
+  for (const v of [27, 28]) {
+    try {
+      const address = await recoverAddress({ hash, signature: signatureRS + v.toString(16) });
+      candidates.push({ v, address });
+    } catch (error) {
+      // Not a valid point for this recovery id
+    }
+  }
+
+  const match = candidates.find((candidate) => candidate.address.toLowerCase() === l2Address.toLowerCase());
+  return {
+    valid: Boolean(match),
+    l2Address,
+    recoveredAddress: match ? match.address : null,
+    v: match ? match.v : null,
+    candidates,
+    hash,
+    typedData,
+  };
+}
+
+// Export for Node.js/CommonJS
+module.exports = { signDepositMessage, verifyDepositSignature, buildDepositTypedData, DEPOSIT_TYPES, DEPOSIT_CONFIG };
+
+// Run example if this file is executed directly
+if (require.main === module) {
+  (async () => {
+    const { generatePrivateKey } = require('viem/accounts');
+
+    const { typedData, signature, signatureRS } = await signDepositMessage({
+      privateKey: generatePrivateKey(), // ← Replace with your L2 private key
+      tokenIdHash: '0x2c95459bfda60671c20122235e0f4fbeb698be2f0bc45a74a3c49ee79f8cf44b', // ← tokenHash from the token-pair API
+      amount: 200000000, // 2 tokens in L1 base units
+      nonce: 1,
+    });
+
+    console.log('✅ Signed deposit for', typedData.message.L2);
+    console.log('Signature:', signature);
+    console.log('signatureRS:', signatureRS);
+  })().catch((error) => console.error('❌ Error:', error.message));
+}
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { privateKeyToAccount } = require('viem/accounts');
+const { signDepositMessage, verifyDepositSignature, buildDepositTypedData, DEPOSIT_CONFIG } = require('./deposit-signature.js');
+const { generateBridgeScript } = require('./generate-script.js');
+
+const PRIVATE_KEY = '0x' + '42'.repeat(32);
+const ACCOUNT = privateKeyToAccount(PRIVATE_KEY);
+const TOKEN_ID_HASH = '0x2c95459bfda60671c20122235e0f4fbeb698be2f0bc45a74a3c49ee79f8cf44b';
+const AMOUNT = 200000000n;
+const VAULT = 'kaspa:qrf5mw2ru0av3dgfmkhvh0hets8k84wxcaqqr3jv9wdf6st44h0cxql4syxt8';
+
+// Envelope carrying `signatureRS` for `l2Address`
+const envelopeFor = (signatureRS, l2Address = ACCOUNT.address) => generateBridgeScript({
+  publicKey: new Uint8Array(32).fill(1),
+  chainId: DEPOSIT_CONFIG.CHAIN_ID,
+  l2Address,
+  signatureRS,
+  token: { mode: 'mint', tick: 'NACHO' },
+  amount: AMOUNT,
+  to: VAULT,
+});
+
+test('builds the typed data with the mainnet defaults', () => {
+  const typedData = buildDepositTypedData({ l2Address: ACCOUNT.address, tokenIdHash: TOKEN_ID_HASH, amount: 1, nonce: 2 });
+  assert.deepEqual(typedData.domain, { name: 'KaspaBridge', version: '1', chainId: DEPOSIT_CONFIG.CHAIN_ID });
+  assert.equal(typedData.message.BridgeIdHash, DEPOSIT_CONFIG.BRIDGE_ID_HASH);
+  assert.equal(typedData.message.Amount, 1n);
+  assert.throws(() => buildDepositTypedData({ l2Address: ACCOUNT.address, tokenIdHash: TOKEN_ID_HASH, amount: 1 }), /nonce is required/);
+});
+
+test('signs for the key owner and splits off v', async () => {
+  const { typedData, signature, signatureRS, v } = await signDepositMessage({ privateKey: PRIVATE_KEY, tokenIdHash: TOKEN_ID_HASH, amount: AMOUNT, nonce: 1 });
+  assert.equal(typedData.message.L2, ACCOUNT.address);
+  assert.equal(signatureRS.length, 2 + 128);
+  assert.equal(signature, signatureRS + v.toString(16));
+  assert.ok(v === 27 || v === 28);
+});
+
+test('verifies envelopes signed with either recovery id', async () => {
+  const seen = new Set();
+  for (let nonce = 1; seen.size < 2 && nonce <= 32; nonce++) {
+    const { signatureRS, v } = await signDepositMessage({ privateKey: PRIVATE_KEY, tokenIdHash: TOKEN_ID_HASH, amount: AMOUNT, nonce });
+    const result = await verifyDepositSignature({ envelope: envelopeFor(signatureRS), tokenIdHash: TOKEN_ID_HASH, nonce });
+    assert.equal(result.valid, true);
+    assert.equal(result.v, v);
+    assert.equal(result.recoveredAddress, ACCOUNT.address);
+    seen.add(v);
+  }
+  assert.deepEqual([...seen].sort(), [27, 28]);
+});
+
+test('rejects a signature over different message fields', async () => {
+  const { signatureRS } = await signDepositMessage({ privateKey: PRIVATE_KEY, tokenIdHash: TOKEN_ID_HASH, amount: AMOUNT, nonce: 1 });
+  const envelope = envelopeFor(signatureRS);
+
+  const wrongNonce = await verifyDepositSignature({ envelope, tokenIdHash: TOKEN_ID_HASH, nonce: 2 });
+  assert.equal(wrongNonce.valid, false);
+  assert.equal(wrongNonce.recoveredAddress, null);
+
+  const otherRecipient = await verifyDepositSignature({ envelope: envelopeFor(signatureRS, '0x' + '00'.repeat(19) + 'aa'), tokenIdHash: TOKEN_ID_HASH, nonce: 1 });
+  assert.equal(otherRecipient.valid, false);
+});
@@ -0,0 +1,187 @@
+// === L1 → L2 Deposit Tracker ===
+// Follows a broadcast reveal transaction until the relayers mint on L2:
+// - submitted: tracking started for the reveal transaction
+// - accepted:  the reveal transaction was accepted by the Kaspa virtual chain
+// - minted:    an ERC-20 mint (Transfer from 0x0) to the L2 recipient was seen
+// - timeout:   nothing conclusive happened within `timeoutMs`
+//
+// L2 blocks are scanned from the head read when tracking starts. Pass
+// `fromBlock` (e.g. the block number read before the reveal was broadcast) when
+// the tracker may start after the mint, so that mint is still found.
+//
+// `kaspaRpc` only needs getBlockDagInfo() and getVirtualChainFromBlock(), so
+// the vendored RpcClient or a simulated RPC both work. The L2 side uses a viem
+// public client (or `l2RpcUrl`), e.g. pointed at a local anvil node.
+
+const { EventEmitter } = require('events');
+const { createPublicClient, http, parseAbiItem, zeroAddress } = require('viem');
+const { l1ToL2 } = require('./token-amounts.js');
+const { getNetwork } = require('./networks.js');
+
+const TRACKER_DEFAULTS = {
+  POLL_INTERVAL_MS: 5000,
+  TIMEOUT_MS: 30 * 60 * 1000,
+};
+
+const transferEvent = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 value)');
+
+class DepositTracker extends EventEmitter {
+  constructor({
+    revealTxId,
+    l2Address,
+    tokenPair,
+    amount,
+    kaspaRpc,
+    publicClient,
+    network,
+    l2RpcUrl = getNetwork(network).rpcUrl,
+    startHash,
+    fromBlock,
+    pollIntervalMs = TRACKER_DEFAULTS.POLL_INTERVAL_MS,
+    timeoutMs = TRACKER_DEFAULTS.TIMEOUT_MS,
+  }) {
+    super();
+    if (!revealTxId) throw new Error('revealTxId is required');
+    if (!l2Address) throw new Error('l2Address is required');
+    if (!tokenPair || !tokenPair.l2_address) throw new Error('tokenPair with l2_address is required');
+
+    this.revealTxId = revealTxId;
+    this.l2Address = l2Address;
+    this.tokenPair = tokenPair;
+    // `amount` is the deposited L1 amount; without it any mint to the recipient matches
+    this.expectedL2Amount = amount !== undefined ? l1ToL2(BigInt(amount), tokenPair) : null;
+    this.kaspaRpc = kaspaRpc;
+    this.publicClient = publicClient || createPublicClient({ transport: http(l2RpcUrl) });
+    this.startHash = startHash;
+    this.fromBlock = fromBlock !== undefined && fromBlock !== null ? BigInt(fromBlock) : null;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timeoutMs = timeoutMs;
+
+    this.status = null;
+    this.l1 = null;
+    this.l2 = null;
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  setStatus(status, details = {}) {
+    this.status = status;
+    const event = { status, revealTxId: this.revealTxId, ...details };
+    this.emit('progress', event);
+    this.emit(status, event);
+  }
+
+  // Starts polling; `result` resolves with the final status ('minted' or 'timeout').
+  // Failures reject `result` and are emitted as 'error' when someone listens,
+  // so an events-only caller never sees an unhandled rejection.
+  start() {
+    if (this.result) return this;
+    this.result = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+    this.result.catch((error) => {
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+
+    this.deadline = Date.now() + this.timeoutMs;
+    // Deferred so listeners attached right after trackDeposit() see 'submitted'
+    Promise.resolve()
+      .then(() => this.setStatus('submitted'))
+      .then(() => this.initialize())
+      .then(() => this.poll())
+      .catch((error) => this.finish(error));
+    return this;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  finish(error) {
+    this.stop();
+    if (error) return this.reject(error);
+    this.resolve({ status: this.status, revealTxId: this.revealTxId, l1: this.l1, l2: this.l2 });
+  }
+
+  async initialize() {
+    if (this.fromBlock === null) this.fromBlock = await this.publicClient.getBlockNumber({ cacheTime: 0 });
+    if (this.kaspaRpc && !this.startHash) {
+      const { sink } = await this.kaspaRpc.getBlockDagInfo();
+      this.startHash = sink;
+    }
+  }
+
+  async poll() {
+    if (this.stopped) return;
+    try {
+      if (!this.l1 && this.kaspaRpc) await this.checkL1Acceptance();
+      await this.checkL2Mint();
+    } catch (error) {
+      // Transient RPC failures: report and keep polling until the deadline
+      this.emit('poll-error', error);
+    }
+
+    if (this.l2) return this.finish();
+    if (Date.now() >= this.deadline) {
+      this.setStatus('timeout', { l1: this.l1 });
+      return this.finish();
+    }
+    this.timer = setTimeout(() => this.poll(), this.pollIntervalMs);
+  }
+
+  async checkL1Acceptance() {
+    const response = await this.kaspaRpc.getVirtualChainFromBlock({
+      startHash: this.startHash,
+      includeAcceptedTransactionIds: true,
+    });
+
+    for (const { acceptingBlockHash, acceptedTransactionIds } of response.acceptedTransactionIds || []) {
+      if (acceptedTransactionIds.includes(this.revealTxId)) {
+        this.l1 = { acceptingBlockHash };
+        this.setStatus('accepted', { l1: this.l1 });
+        return;
+      }
+    }
+
+    const added = response.addedChainBlockHashes || [];
+    if (added.length > 0) this.startHash = added[added.length - 1];
+  }
+
+  async checkL2Mint() {
+    const toBlock = await this.publicClient.getBlockNumber({ cacheTime: 0 });
+    if (toBlock < this.fromBlock) return;
+
+    const logs = await this.publicClient.getLogs({
+      address: this.tokenPair.l2_address,
+      event: transferEvent,
+      args: { from: zeroAddress, to: this.l2Address },
+      fromBlock: this.fromBlock,
+      toBlock,
+    });
+    this.fromBlock = toBlock + 1n;
+
+    const mint = logs.find((log) => this.expectedL2Amount === null || log.args.value === this.expectedL2Amount);
+    if (!mint) return;
+
+    this.l2 = {
+      transactionHash: mint.transactionHash,
+      blockNumber: mint.blockNumber,
+      amount: mint.args.value,
+      to: mint.args.to,
+    };
+    this.setStatus('minted', { l1: this.l1, l2: this.l2 });
+  }
+}
+
+// Create and start a tracker. Listen on the returned tracker for progress
+// events; `tracker.result` resolves with the final status.
+function trackDeposit(options) {
+  const tracker = new DepositTracker(options);
+  tracker.start();
+  return tracker;
+}
+
+// Export for Node.js/CommonJS
+module.exports = { trackDeposit, DepositTracker, TRACKER_DEFAULTS };
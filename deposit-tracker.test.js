@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trackDeposit } = require('./deposit-tracker.js');
+
+const L2_ADDRESS = '0x742d35cc6639c2532a78444b5d4f71c8be6e5678';
+const TOKEN_PAIR = { l2_address: '0x00000000000000000000000000000000000000cc', l1_decimals: 8, l2_decimals: 18 };
+const REVEAL_TX_ID = 'ab'.repeat(32);
+
+// L2 chain at `head` with mint logs; records every getLogs range
+function fakePublicClient({ head = 100n, mints = [] } = {}) {
+  const client = {
+    head,
+    ranges: [],
+    async getBlockNumber() {
+      return client.head;
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      client.ranges.push([fromBlock, toBlock]);
+      return mints
+        .filter((mint) => mint.blockNumber >= fromBlock && mint.blockNumber <= toBlock)
+        .map((mint) => ({ ...mint, args: { from: '0x0000000000000000000000000000000000000000', to: L2_ADDRESS, value: mint.value } }));
+    },
+  };
+  return client;
+}
+
+function fakeKaspaRpc({ acceptedIn = 'block-2' } = {}) {
+  return {
+    async getBlockDagInfo() {
+      return { sink: 'block-1' };
+    },
+    async getVirtualChainFromBlock() {
+      return {
+        addedChainBlockHashes: ['block-2'],
+        acceptedTransactionIds: [{ acceptingBlockHash: acceptedIn, acceptedTransactionIds: [REVEAL_TX_ID] }],
+      };
+    },
+  };
+}
+
+const options = (overrides) => ({
+  revealTxId: REVEAL_TX_ID,
+  l2Address: L2_ADDRESS,
+  tokenPair: TOKEN_PAIR,
+  pollIntervalMs: 1,
+  timeoutMs: 200,
+  ...overrides,
+});
+
+test('scans from the L2 head read at start without fromBlock', async () => {
+  const publicClient = fakePublicClient({ head: 100n, mints: [{ blockNumber: 90n, transactionHash: '0x01', value: 1n }] });
+  // The chain moves on after the head is read at start
+  const heads = [100n, 103n];
+  publicClient.getBlockNumber = async () => heads.shift() ?? 103n;
+  const tracker = trackDeposit(options({ publicClient, timeoutMs: 20 }));
+
+  const result = await tracker.result;
+  assert.equal(result.status, 'timeout');
+  assert.deepEqual(publicClient.ranges[0], [100n, 103n]);
+});
+
+test('finds a mint made before the tracker started', async () => {
+  const publicClient = fakePublicClient({ head: 120n, mints: [{ blockNumber: 105n, transactionHash: '0x01', value: 2n * 10n ** 18n }] });
+  const tracker = trackDeposit(options({ publicClient, kaspaRpc: fakeKaspaRpc(), fromBlock: 100n, amount: 200000000n }));
+  const statuses = [];
+  tracker.on('progress', ({ status }) => statuses.push(status));
+
+  const result = await tracker.result;
+  assert.deepEqual(statuses, ['submitted', 'accepted', 'minted']);
+  assert.equal(result.status, 'minted');
+  assert.deepEqual(result.l1, { acceptingBlockHash: 'block-2' });
+  assert.equal(result.l2.amount, 2n * 10n ** 18n);
+  assert.deepEqual(publicClient.ranges[0], [100n, 120n]);
+});
+
+test('ignores mints of a different amount and times out', async () => {
+  const publicClient = fakePublicClient({ mints: [{ blockNumber: 100n, transactionHash: '0x01', value: 1n }] });
+  const tracker = trackDeposit(options({ publicClient, fromBlock: 90n, amount: 200000000n, timeoutMs: 20 }));
+  const result = await tracker.result;
+  assert.equal(result.status, 'timeout');
+  assert.equal(result.l2, null);
+});
+
+test('scans each L2 block once across polls', async () => {
+  const publicClient = fakePublicClient({ head: 100n });
+  const tracker = trackDeposit(options({ publicClient, fromBlock: 95n, timeoutMs: 30 }));
+  tracker.once('submitted', () => setTimeout(() => { publicClient.head = 110n; }, 5));
+  await tracker.result;
+  const scanned = publicClient.ranges.filter(([from, to]) => from <= to);
+  assert.deepEqual(scanned[0], [95n, 100n]);
+  assert.deepEqual(scanned[1], [101n, 110n]);
+});
+
+test('transient RPC failures are reported as poll-error and retried', async () => {
+  const publicClient = fakePublicClient({ mints: [{ blockNumber: 100n, transactionHash: '0x01', value: 5n }] });
+  let calls = 0;
+  const getLogs = publicClient.getLogs;
+  publicClient.getLogs = async (args) => {
+    calls += 1;
+    if (calls === 1) throw new Error('connection reset');
+    return getLogs(args);
+  };
+  const tracker = trackDeposit(options({ publicClient, fromBlock: 100n }));
+  const errors = [];
+  tracker.on('poll-error', (error) => errors.push(error.message));
+  assert.equal((await tracker.result).status, 'minted');
+  assert.deepEqual(errors, ['connection reset']);
+});
+
+test('a failed start is emitted as error instead of an unhandled rejection', async () => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  try {
+    const kaspaRpc = { getBlockDagInfo: async () => { throw new Error('rpc unreachable'); } };
+    const tracker = trackDeposit(options({ publicClient: fakePublicClient(), kaspaRpc, fromBlock: 1n }));
+    // Events-only usage: nobody awaits tracker.result
+    const error = await new Promise((resolve) => tracker.on('error', resolve));
+    assert.equal(error.message, 'rpc unreachable');
+    await assert.rejects(tracker.result, /rpc unreachable/);
+
+    // Without any listener the failure is only visible through tracker.result
+    trackDeposit(options({ publicClient: fakePublicClient(), kaspaRpc, fromBlock: 1n }));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+});
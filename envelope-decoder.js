@@ -0,0 +1,254 @@
+// === Bridge Envelope Decoder ===
+// Opcode-by-opcode decoder for the redeem script built by generateBridgeScript:
+//
+//   <pubkey> OP_CHECKSIG OP_FALSE OP_IF "kasplex" [OP_1 <extra>] OP_0 <content> OP_ENDIF
+//
+// A lane may be split across several consecutive pushes; they are concatenated.
+// A one-byte chunk may be pushed as OP_1..OP_16 or OP_1NEGATE, and an empty
+// lane as a single OP_0.
+//
+// The owner may instead be an M-of-N multisig:
+//
+//   OP_<m> <pubkey>... OP_<n> OP_CHECKMULTISIG[ECDSA] OP_FALSE OP_IF ...
+//
+// Also accepts a full P2SH signature script (<signature>... <redeem script>)
+// and unwraps the redeem script from its last push.
+
+const { bytesToHex, hexToBytes } = require('./generate-script.js');
+const { tokenFromContent } = require('./krc20-token.js');
+const { decode: cborDecode } = require('./cbor.js');
+const { readPush, opcodeName } = require('./script-disassembler.js');
+
+// === Opcodes ===
+const OP_FALSE = 0x00;
+const OP_1NEGATE = 0x4f;
+const OP_1 = 0x51;
+const OP_16 = 0x60;
+const OP_IF = 0x63;
+const OP_ENDIF = 0x68;
+const OP_CHECKMULTISIGECDSA = 0xa9;
+const OP_CHECKSIG = 0xac;
+const OP_CHECKMULTISIG = 0xae;
+
+const PROTOCOL_TAG = 'kasplex';
+
+// === Script Reader ===
+function describeOpcode(opcode) {
+  return `${opcodeName(opcode)} (0x${opcode.toString(16).padStart(2, '0')})`;
+}
+
+function expectPush(bytes, pos, what) {
+  const push = readPush(bytes, pos);
+  if (!push) throw new Error(`expected ${what} push at byte ${pos}, found ${describeOpcode(bytes[pos])}`);
+  return push;
+}
+
+function expectOp(bytes, pos, opcode, name) {
+  if (pos >= bytes.length) throw new Error(`expected ${name} at byte ${pos}, found end of script`);
+  if (bytes[pos] !== opcode) {
+    throw new Error(`expected ${name} at byte ${pos}, found ${describeOpcode(bytes[pos])}`);
+  }
+  return pos + 1;
+}
+
+function isSmallInt(opcode) {
+  return opcode >= OP_1 && opcode <= OP_16;
+}
+
+// Data push, or a single byte pushed by OP_1..OP_16 / OP_1NEGATE. OP_0 is an
+// empty push only as the lane's first push; after that it marks the next lane.
+function readLanePush(bytes, pos, first) {
+  const opcode = bytes[pos];
+  if (opcode === OP_FALSE && first) {
+    return { data: new Uint8Array(0), encoding: 'OP_0', offset: pos, next: pos + 1 };
+  }
+  if (isSmallInt(opcode) || opcode === OP_1NEGATE) {
+    const value = opcode === OP_1NEGATE ? 0x81 : opcode - OP_1 + 1;
+    return { data: Uint8Array.of(value), encoding: opcodeName(opcode), offset: pos, next: pos + 1 };
+  }
+  return readPush(bytes, pos);
+}
+
+// A lane: one push, or consecutive pushes (chunks) whose data is concatenated
+function readLane(bytes, pos, what) {
+  const first = readLanePush(bytes, pos, true);
+  if (!first) throw new Error(`expected ${what} push at byte ${pos}, found ${describeOpcode(bytes[pos])}`);
+  const pushes = [first];
+  for (let next = first.next; next < bytes.length; next = pushes[pushes.length - 1].next) {
+    const push = readLanePush(bytes, next, false);
+    if (!push) break;
+    pushes.push(push);
+  }
+
+  const data = new Uint8Array(pushes.reduce((sum, push) => sum + push.data.length, 0));
+  let offset = 0;
+  for (const push of pushes) {
+    data.set(push.data, offset);
+    offset += push.data.length;
+  }
+  const encoding = pushes.length === 1 ? pushes[0].encoding : pushes.map((push) => push.encoding);
+  return { data, pushes, encoding, next: pushes[pushes.length - 1].next };
+}
+
+// Split a signature script into its pushes; returns null if it contains non-push opcodes.
+function readAllPushes(bytes) {
+  const pushes = [];
+  let pos = 0;
+  while (pos < bytes.length) {
+    const push = readPush(bytes, pos);
+    if (!push) return null;
+    pushes.push(push);
+    pos = push.next;
+  }
+  return pushes;
+}
+
+function isRedeemScript(bytes) {
+  if (bytes.length > 34 && bytes[0] === 0x20 && bytes[33] === OP_CHECKSIG) return true;
+  // M-of-N owner: OP_<m> followed by a 32- or 33-byte key push
+  return bytes.length > 34 && isSmallInt(bytes[0]) && (bytes[1] === 0x20 || bytes[1] === 0x21);
+}
+
+// <pubkey> OP_CHECKSIG, or OP_<m> <pubkey>... OP_<n> OP_CHECKMULTISIG[ECDSA]
+function readOwner(bytes, record) {
+  if (!isSmallInt(bytes[0])) {
+    const pubkey = expectPush(bytes, 0, 'public key');
+    if (pubkey.data.length !== 32) throw new Error(`public key must be 32-byte x-only, got ${pubkey.data.length} bytes`);
+    record('publicKey', pubkey);
+    const next = expectOp(bytes, pubkey.next, OP_CHECKSIG, 'OP_CHECKSIG');
+    return { next, encoding: pubkey.encoding, xOnlyPublicKey: bytesToHex(pubkey.data), multisig: null };
+  }
+
+  const required = bytes[0] - OP_1 + 1;
+  const keys = [];
+  let pos = 1;
+  while (pos < bytes.length && !isSmallInt(bytes[pos])) {
+    const key = expectPush(bytes, pos, 'multisig public key');
+    record('publicKey', key);
+    keys.push(key);
+    pos = key.next;
+  }
+  if (pos >= bytes.length) throw new Error(`expected OP_<n> (multisig key count) at byte ${pos}, found end of script`);
+  const count = bytes[pos] - OP_1 + 1;
+  if (count !== keys.length) throw new Error(`multisig key count OP_${count} at byte ${pos} does not match ${keys.length} keys`);
+  if (required > count) throw new Error(`multisig requires ${required} of only ${count} keys`);
+  pos += 1;
+
+  if (pos >= bytes.length) throw new Error(`expected OP_CHECKMULTISIG at byte ${pos}, found end of script`);
+  const ecdsa = bytes[pos] === OP_CHECKMULTISIGECDSA;
+  if (!ecdsa) expectOp(bytes, pos, OP_CHECKMULTISIG, 'OP_CHECKMULTISIG');
+  const keyLength = ecdsa ? 33 : 32;
+  for (const key of keys) {
+    if (key.data.length !== keyLength) {
+      throw new Error(`multisig key at byte ${key.offset} must be ${ecdsa ? '33-byte compressed' : '32-byte x-only'}, got ${key.data.length} bytes`);
+    }
+  }
+
+  return {
+    next: pos + 1,
+    encoding: keys.map((key) => key.encoding),
+    xOnlyPublicKey: null,
+    multisig: { required, publicKeys: keys.map((key) => bytesToHex(key.data)), ecdsa },
+  };
+}
+
+// === Lane Decoders ===
+function decodeExtraBlob(extra) {
+  const blob = cborDecode(extra);
+  if (!blob || typeof blob !== 'object') throw new Error('EXTRA lane is not a CBOR map');
+  return {
+    version: blob.v,
+    chainId: blob.c,
+    l2Address: blob.l ? bytesToHex(blob.l) : null,
+    signatureRS: blob.s ? bytesToHex(blob.s) : null,
+  };
+}
+
+function decodeContent(contentBytes) {
+  const contentJson = new TextDecoder().decode(contentBytes);
+  let content;
+  try {
+    content = JSON.parse(contentJson);
+  } catch (error) {
+    throw new Error(`CONTENT lane is not valid JSON: ${error.message}`);
+  }
+  return { contentJson, content };
+}
+
+// === Main Function ===
+function parseBridgeScript(script) {
+  let bytes = typeof script === 'string' ? hexToBytes(script) : Uint8Array.from(script);
+  let signatures = [];
+
+  // Unwrap <signature>... <redeem script> if given the full signature script
+  if (!isRedeemScript(bytes)) {
+    const pushes = readAllPushes(bytes);
+    if (!pushes || pushes.length < 2 || !isRedeemScript(pushes[pushes.length - 1].data)) {
+      throw new Error('script is neither a bridge redeem script nor a P2SH signature script wrapping one');
+    }
+    signatures = pushes.slice(0, -1).map((push) => bytesToHex(push.data));
+    bytes = pushes[pushes.length - 1].data;
+  }
+
+  const encodings = {};
+  const pushes = [];
+  const record = (lane, push) => pushes.push({ lane, offset: push.offset, encoding: push.encoding, length: push.data.length, data: bytesToHex(push.data) });
+
+  // <pubkey> OP_CHECKSIG, or an M-of-N multisig
+  const owner = readOwner(bytes, record);
+  encodings.publicKey = owner.encoding;
+  let pos = owner.next;
+
+  // OP_FALSE OP_IF "kasplex"
+  pos = expectOp(bytes, pos, OP_FALSE, 'OP_FALSE');
+  pos = expectOp(bytes, pos, OP_IF, 'OP_IF');
+  const tag = expectPush(bytes, pos, 'protocol tag');
+  const protocol = new TextDecoder().decode(tag.data);
+  if (protocol !== PROTOCOL_TAG) throw new Error(`unknown protocol tag "${protocol}"`);
+  encodings.protocol = tag.encoding;
+  record('protocol', tag);
+  pos = tag.next;
+
+  // [OP_1 <extra>...]
+  let extra = null;
+  let blob = null;
+  if (bytes[pos] === OP_1) {
+    const extraLane = readLane(bytes, pos + 1, 'EXTRA');
+    extra = extraLane.data;
+    blob = decodeExtraBlob(extra);
+    encodings.extra = extraLane.encoding;
+    extraLane.pushes.forEach((push) => record('extra', push));
+    pos = extraLane.next;
+  }
+
+  // OP_0 <content>...
+  pos = expectOp(bytes, pos, OP_FALSE, 'OP_0 (content marker)');
+  const contentLane = readLane(bytes, pos, 'CONTENT');
+  const { contentJson, content } = decodeContent(contentLane.data);
+  encodings.content = contentLane.encoding;
+  contentLane.pushes.forEach((push) => record('content', push));
+  pos = contentLane.next;
+
+  // OP_ENDIF
+  pos = expectOp(bytes, pos, OP_ENDIF, 'OP_ENDIF');
+  if (pos !== bytes.length) throw new Error(`unexpected ${bytes.length - pos} trailing bytes after OP_ENDIF`);
+
+  return {
+    xOnlyPublicKey: owner.xOnlyPublicKey,
+    multisig: owner.multisig,
+    protocol,
+    extra: extra ? bytesToHex(extra) : null,
+    blob,
+    contentJson,
+    content,
+    token: tokenFromContent(content),
+    encodings,
+    pushes,
+    signature: signatures.length > 0 ? signatures[0] : null,
+    signatures,
+    redeemScript: bytes,
+  };
+}
+
+// Export for Node.js/CommonJS
+module.exports = { parseBridgeScript, readPush, decodeExtraBlob };
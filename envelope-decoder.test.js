@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBridgeScript } = require('./envelope-decoder.js');
+const { generateBridgeScript, hexToBytes } = require('./generate-script.js');
+const { ScriptBuilder } = require('./script-builder.js');
+const { NETWORKS } = require('./networks.js');
+
+const PARAMS = {
+  publicKey: new Uint8Array(32).fill(1),
+  chainId: 202555,
+  l2Address: '0x' + '00'.repeat(19) + 'aa',
+  // Ends in 0x05, so the last EXTRA byte can be pushed as OP_5
+  signatureRS: '0x' + '11'.repeat(63) + '05',
+  token: { mode: 'mint', tick: 'NACHO' },
+  amount: 100000000n,
+};
+const { extra, contentJson } = parseBridgeScript(generateBridgeScript(PARAMS));
+const EXTRA = hexToBytes(extra);
+const CONTENT = new TextEncoder().encode(contentJson);
+
+// <pubkey> OP_CHECKSIG OP_FALSE OP_IF "kasplex" OP_1 <extra...> OP_0 <content...> OP_ENDIF,
+// with each lane's pushes written by the given callback
+function envelope(pushExtra, pushContent) {
+  const builder = new ScriptBuilder()
+    .addData(PARAMS.publicKey).addOp('OP_CHECKSIG')
+    .addOp('OP_FALSE').addOp('OP_IF').addData('kasplex')
+    .addOp('OP_1');
+  pushExtra(builder);
+  builder.addOp('OP_0');
+  pushContent(builder);
+  return builder.addOp('OP_ENDIF').build();
+}
+
+const whole = (bytes) => (builder) => builder.addData(bytes);
+
+test('concatenates lanes split across several pushes', () => {
+  const parsed = parseBridgeScript(generateBridgeScript({ ...PARAMS, maxPushSize: 40 }));
+  assert.equal(parsed.extra, extra);
+  assert.equal(parsed.contentJson, contentJson);
+  assert.equal(parsed.content.to, NETWORKS.mainnet.vaultAddress);
+  assert.equal(parsed.encodings.content.length, Math.ceil(CONTENT.length / 40));
+  assert.ok(parsed.encodings.content.every((encoding) => encoding === 'direct'));
+
+  const content = parsed.pushes.filter((push) => push.lane === 'content');
+  assert.deepEqual(content.map((push) => push.length), [...content.slice(0, -1).map(() => 40), CONTENT.length % 40 || 40]);
+  for (let i = 1; i < content.length; i++) assert.equal(content[i].offset, content[i - 1].offset + 41);
+});
+
+test('reads OP_PUSHDATA2 chunks', () => {
+  const pushdata2 = (data) => Uint8Array.of(0x4d, data.length & 0xff, data.length >> 8, ...data);
+  const script = envelope(whole(EXTRA), (builder) => builder
+    .addData(CONTENT.subarray(0, 10))
+    .addScript(pushdata2(CONTENT.subarray(10))));
+
+  const parsed = parseBridgeScript(script);
+  assert.equal(parsed.contentJson, contentJson);
+  assert.deepEqual(parsed.encodings.content, ['direct', 'OP_PUSHDATA2']);
+  const last = parsed.pushes.at(-1);
+  assert.deepEqual([last.lane, last.encoding, last.length], ['content', 'OP_PUSHDATA2', CONTENT.length - 10]);
+  assert.equal(last.offset, script.length - 1 - 3 - last.length);
+});
+
+test('reads one-byte chunks pushed as OP_1..OP_16 and OP_1NEGATE', () => {
+  const script = envelope((builder) => builder.addData(EXTRA.subarray(0, -1)).addData(EXTRA.subarray(-1)), whole(CONTENT));
+  const parsed = parseBridgeScript(script);
+  assert.equal(parsed.extra, extra);
+  assert.equal(parsed.blob.signatureRS, PARAMS.signatureRS);
+  assert.deepEqual(parsed.encodings.extra, [EXTRA.length - 1 <= 0xff ? 'OP_PUSHDATA1' : 'OP_PUSHDATA2', 'OP_5']);
+  const chunk = parsed.pushes.filter((push) => push.lane === 'extra').at(-1);
+  assert.deepEqual(chunk, { lane: 'extra', offset: chunk.offset, encoding: 'OP_5', length: 1, data: '0x05' });
+  assert.deepEqual([...script.subarray(chunk.offset, chunk.offset + 2)], [0x55, 0x00]);
+
+  // 0x81 as the first chunk of a lane
+  const negate = parseBridgeScript(envelope((builder) => builder.addData(Uint8Array.of(0x81)).addData(EXTRA), whole(CONTENT)));
+  assert.equal(negate.encodings.extra[0], 'OP_1NEGATE');
+  assert.equal(negate.extra, '0x81' + extra.slice(2));
+});
+
+test('an empty lane is a single OP_0 push; a later OP_0 marks the next lane', () => {
+  const emptyExtra = envelope((builder) => builder.addData(new Uint8Array(0)), whole(CONTENT));
+  assert.throws(() => parseBridgeScript(emptyExtra), /unexpected end of CBOR data/);
+
+  const emptyContent = envelope(whole(EXTRA), (builder) => builder.addData(new Uint8Array(0)));
+  assert.throws(() => parseBridgeScript(emptyContent), /CONTENT lane is not valid JSON/);
+
+  // Without the content marker, the OP_0 after EXTRA is taken as the marker and CONTENT is missing
+  const noContent = new ScriptBuilder()
+    .addData(PARAMS.publicKey).addOp('OP_CHECKSIG')
+    .addOp('OP_FALSE').addOp('OP_IF').addData('kasplex')
+    .addOp('OP_1').addData(EXTRA).addOp('OP_0').addOp('OP_ENDIF')
+    .build();
+  assert.throws(() => parseBridgeScript(noContent), /expected CONTENT push at byte \d+, found OP_ENDIF/);
+});
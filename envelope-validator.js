@@ -0,0 +1,121 @@
+// === Bridge Envelope Validator ===
+// Applies the relayers' acceptance rules to a deposit script, so bad deposits
+// can be rejected before they are broadcast. Every rule is checked and every
+// violation reported, each as { rule, message }:
+//
+//   layout            Exact opcode layout (parseBridgeScript succeeds)
+//   push.minimal      Every push uses the smallest push opcode for its data
+//   extra.present     The EXTRA lane (OP_1 <cbor>) is present
+//   extra.version     v === 1
+//   extra.chainId     c is the network's L2 chain id
+//   extra.l2Address   l is 20 bytes
+//   extra.signature   s is 64 bytes (r+s)
+//   content.p         p === 'krc-20'
+//   content.op        op === 'transfer'
+//   content.to        to is the network's vault address        (needs a vault)
+//   content.amt       amt is a positive integer string
+//   content.token     tick (mint mode) or a valid ca (issue mode)
+//   token.pair        a token pair exists for the token        (needs tokenPairs)
+//   token.active      the token pair is active                  (needs tokenPairs)
+//   token.chainId     the token pair is on the same L2 chain    (needs tokenPairs)
+//   amount.maxSupply  amt converted to L2 units fits maxSupply  (needs tokenPairs)
+//
+// Profiles without a vault (testnet, local) skip content.to unless a
+// `vaultAddress` is passed in the options.
+
+const { parseBridgeScript } = require('./envelope-decoder.js');
+const { isValidCa, tokenPairMatches } = require('./krc20-token.js');
+const { l1ToL2, assertWithinMaxSupply } = require('./token-amounts.js');
+const { getNetwork } = require('./networks.js');
+const { minimalPushEncoding } = require('./script-builder.js');
+const { hexToBytes } = require('./generate-script.js');
+
+const ENVELOPE_VERSION = 1;
+const PAIR_RULES = ['token.pair', 'token.active', 'token.chainId', 'amount.maxSupply'];
+
+// === Rule Helpers ===
+function hexLength(hex) {
+  return hex ? (hex.length - 2) / 2 : 0;
+}
+
+// Every push, including each chunk of a split lane, on its own data
+function checkPushes(envelope, fail) {
+  for (const { lane, length, encoding, data } of envelope.pushes) {
+    const expected = minimalPushEncoding(hexToBytes(data));
+    if (encoding !== expected) fail('push.minimal', `${lane} push of ${length} bytes uses ${encoding}, expected ${expected}`);
+  }
+}
+
+function checkExtra(blob, profile, fail) {
+  if (!blob) return fail('extra.present', 'EXTRA lane is missing');
+  if (blob.version !== ENVELOPE_VERSION) fail('extra.version', `v must be ${ENVELOPE_VERSION}, got ${blob.version}`);
+  if (blob.chainId !== profile.chainId) fail('extra.chainId', `c must be ${profile.chainId} (${profile.name}), got ${blob.chainId}`);
+  if (hexLength(blob.l2Address) !== 20) fail('extra.l2Address', `l must be 20 bytes, got ${hexLength(blob.l2Address)}`);
+  if (hexLength(blob.signatureRS) !== 64) fail('extra.signature', `s must be 64 bytes, got ${hexLength(blob.signatureRS)}`);
+}
+
+function checkContent(content, token, vault, profile, fail) {
+  if (content.p !== 'krc-20') fail('content.p', `p must be "krc-20", got ${JSON.stringify(content.p)}`);
+  if (content.op !== 'transfer') fail('content.op', `op must be "transfer", got ${JSON.stringify(content.op)}`);
+
+  if (vault && content.to !== vault) fail('content.to', `to must be the ${profile.name} vault ${vault}, got ${JSON.stringify(content.to)}`);
+
+  if (typeof content.amt !== 'string' || !/^\d+$/.test(content.amt) || BigInt(content.amt) === 0n) {
+    fail('content.amt', `amt must be a positive integer string, got ${JSON.stringify(content.amt)}`);
+  }
+
+  if (!token) return fail('content.token', 'neither tick nor ca is set');
+  if (token.mode === 'issue' && !isValidCa(token.ca)) fail('content.token', `ca must be 64 hex characters, got ${JSON.stringify(token.ca)}`);
+  if (token.mode === 'mint' && (typeof token.tick !== 'string' || token.tick.length === 0)) fail('content.token', 'tick must be a non-empty string');
+}
+
+function checkTokenPair(envelope, tokenPairs, profile, fail) {
+  const { token, content, blob } = envelope;
+  if (!token) return;
+  const pair = tokenPairs.find((p) => tokenPairMatches(p, token));
+  if (!pair) return fail('token.pair', `no token pair for ${token.ca || token.tick}`);
+  if (!pair.is_active) fail('token.active', `token pair ${pair.l1_symbol} is not active`);
+
+  const chainId = blob ? blob.chainId : profile.chainId;
+  if (pair.l2_chain_id !== undefined && pair.l2_chain_id !== chainId) {
+    fail('token.chainId', `token pair ${pair.l1_symbol} is on chain ${pair.l2_chain_id}, not ${chainId}`);
+  }
+
+  if (typeof content.amt === 'string' && /^\d+$/.test(content.amt)) {
+    try {
+      assertWithinMaxSupply(l1ToL2(BigInt(content.amt), pair), pair);
+    } catch (error) {
+      fail('amount.maxSupply', error.message);
+    }
+  }
+}
+
+// === Main Function ===
+// `tokenPairs`: token-pair records (e.g. BridgeApiClient#getTokenPairs()).
+// Without them the token-pair rules are listed in `skipped` instead of checked,
+// as is content.to when neither the profile nor `vaultAddress` gives a vault.
+function validateBridgeEnvelope(script, { network, tokenPairs, vaultAddress } = {}) {
+  const profile = getNetwork(network);
+  const vault = vaultAddress || profile.vaultAddress;
+  const violations = [];
+  const fail = (rule, message) => violations.push({ rule, message });
+  const skipped = [...(vault ? [] : ['content.to']), ...(tokenPairs ? [] : PAIR_RULES)];
+
+  let envelope;
+  try {
+    envelope = parseBridgeScript(script);
+  } catch (error) {
+    fail('layout', error.message);
+    return { valid: false, violations, skipped, envelope: null };
+  }
+
+  checkPushes(envelope, fail);
+  checkExtra(envelope.blob, profile, fail);
+  checkContent(envelope.content, envelope.token, vault, profile, fail);
+  if (tokenPairs) checkTokenPair(envelope, tokenPairs, profile, fail);
+
+  return { valid: violations.length === 0, violations, skipped, envelope };
+}
+
+// Export for Node.js/CommonJS
+module.exports = { validateBridgeEnvelope, ENVELOPE_VERSION };
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateBridgeScript } = require('./generate-script.js');
+const { ScriptBuilder } = require('./script-builder.js');
+const { validateBridgeEnvelope } = require('./envelope-validator.js');
+const { NETWORKS } = require('./networks.js');
+
+const VAULT = NETWORKS.mainnet.vaultAddress;
+const OTHER = 'kaspa:qppyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyyl93f3r9r';
+
+const script = (overrides) => generateBridgeScript({
+  publicKey: new Uint8Array(32).fill(1),
+  chainId: NETWORKS.mainnet.chainId,
+  l2Address: '0x' + '00'.repeat(19) + 'aa',
+  signatureRS: '0x' + '11'.repeat(64),
+  token: { mode: 'mint', tick: 'NACHO' },
+  amount: 100000000n,
+  to: VAULT,
+  ...overrides,
+});
+
+const rules = (result) => result.violations.map((v) => v.rule);
+
+test('accepts a mainnet deposit to the vault', () => {
+  const result = validateBridgeEnvelope(script(), { network: 'mainnet' });
+  assert.deepEqual(result.violations, []);
+  assert.equal(result.valid, true);
+  assert.ok(!result.skipped.includes('content.to'));
+});
+
+test('reports a deposit to another address', () => {
+  assert.deepEqual(rules(validateBridgeEnvelope(script({ to: OTHER }), { network: 'mainnet' })), ['content.to']);
+});
+
+test('skips the vault rule on profiles without a vault instead of throwing', () => {
+  const result = validateBridgeEnvelope(script({ chainId: NETWORKS.testnet.chainId, to: OTHER }), { network: 'testnet' });
+  assert.equal(result.valid, true);
+  assert.ok(result.skipped.includes('content.to'));
+});
+
+test('an explicit vaultAddress is checked on any profile', () => {
+  const testnet = { chainId: NETWORKS.testnet.chainId };
+  assert.equal(validateBridgeEnvelope(script({ ...testnet, to: OTHER }), { network: 'testnet', vaultAddress: OTHER }).valid, true);
+  assert.deepEqual(rules(validateBridgeEnvelope(script({ ...testnet, to: VAULT }), { network: 'testnet', vaultAddress: OTHER })), ['content.to']);
+});
+
+// Mainnet envelope without EXTRA whose CONTENT ends in a one-byte '\n' chunk
+function contentScript(pushNewline) {
+  const content = JSON.stringify({ p: 'krc-20', op: 'transfer', tick: 'NACHO', amt: '100000000', to: VAULT });
+  const builder = new ScriptBuilder()
+    .addData(new Uint8Array(32).fill(1)).addOp('OP_CHECKSIG')
+    .addOp('OP_FALSE').addOp('OP_IF').addData('kasplex')
+    .addOp('OP_0').addData(content);
+  pushNewline(builder);
+  return builder.addOp('OP_ENDIF').build();
+}
+
+test('push.minimal expects OP_1..OP_16 for single small bytes', () => {
+  const minimal = validateBridgeEnvelope(contentScript((b) => b.addData('\n')), { network: 'mainnet' });
+  assert.deepEqual(rules(minimal), ['extra.present']);
+  assert.equal(minimal.envelope.contentJson.endsWith('\n'), true);
+  assert.equal(minimal.envelope.pushes.at(-1).encoding, 'OP_10');
+
+  const direct = validateBridgeEnvelope(contentScript((b) => b.addScript(Uint8Array.of(0x01, 0x0a))), { network: 'mainnet' });
+  const violation = direct.violations.find((v) => v.rule === 'push.minimal');
+  assert.match(violation.message, /content push of 1 bytes uses direct, expected OP_10/);
+  assert.equal(direct.envelope.pushes.at(-1).data, '0x0a');
+});
@@ -1,6 +1,10 @@
 // === Kasplex Bridge Burn Script ===
-const { createPublicClient, createWalletClient, http, parseEther, formatEther } = require('viem');
+const { createPublicClient, createWalletClient, http, formatEther, erc20Abi, maxUint256, decodeFunctionData, parseEventLogs } = require('viem');
 const { privateKeyToAccount } = require('viem/accounts');
+const { BridgeApiClient, API_CONFIG } = require('./bridge-api.js');
+const { getNetwork, requireNetworkValue, NETWORKS } = require('./networks.js');
+const { assertKaspaAddress } = require('./kaspa-address.js');
+const { toL2Units, l2ToL1, assertWithinMaxSupply } = require('./token-amounts.js');
 
 // Bridge ABI
 const bridgeAbi = [{
@@ -13,91 +17,312 @@ const bridgeAbi = [{
   "outputs": [],
   "stateMutability": "payable",
   "type": "function"
+}, {
+  "anonymous": false,
+  "inputs": [
+    {"indexed": true, "internalType": "address", "name": "user", "type": "address"},
+    {"indexed": true, "internalType": "address", "name": "token", "type": "address"},
+    {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"},
+    {"indexed": false, "internalType": "string", "name": "kaspaAddress", "type": "string"},
+    {"indexed": false, "internalType": "uint256", "name": "fee", "type": "uint256"}
+  ],
+  "name": "BurnForBridgeBack",
+  "type": "event"
 }];
 
-// Kasplex Production Config
+// Kasplex Production Config (other deployments: pass `network`, see networks.js)
 const CONFIG = {
-  CONTRACT: "0x699e7f4a64f6A5a1d7E26B05806d948338E7aDC2", // Kasplex Mainnet Bridge Contract Address
-  RPC: "https://evmrpc.kasplex.org/",
-  CHAIN_ID: 202555,
-  BURN_FEE: 10000000000000000000 // 10 KAS in wei
+  CONTRACT: NETWORKS.mainnet.bridgeContract, // Kasplex Mainnet Bridge Contract Address
+  RPC: NETWORKS.mainnet.rpcUrl,
+  CHAIN_ID: NETWORKS.mainnet.chainId,
+  KASPA_NETWORK: NETWORKS.mainnet.kaspaNetwork, // Network the released KRC-20 tokens land on
 };
 
-// Create viem clients
-function createClients(privateKey) {
-  const account = privateKeyToAccount(privateKey);
-  const chain = {
-    id: CONFIG.CHAIN_ID,
-    name: 'Kasplex Mainnet',
+// Shared client so the published fee is cached between burns
+const bridgeApi = new BridgeApiClient();
+const apiClients = new Map([[API_CONFIG.BASE_URL, bridgeApi]]);
+
+// Bridge API client of a network profile, or null if it has no bridge API
+function apiClientFor(profile) {
+  if (!profile.apiUrl) return null;
+  if (!apiClients.has(profile.apiUrl)) apiClients.set(profile.apiUrl, new BridgeApiClient({ baseUrl: profile.apiUrl }));
+  return apiClients.get(profile.apiUrl);
+}
+
+// Fees are wei amounts above Number.MAX_SAFE_INTEGER: only accept exact integer inputs
+function toWei(value, name) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'string' && /^\d+$/.test(value)) return BigInt(value);
+  if (typeof value === 'number' && Number.isSafeInteger(value)) return BigInt(value);
+  throw new Error(`${name} must be a BigInt or integer string in wei`);
+}
+
+// Resolve the burn fee from the bridge-fee API; an override may only raise it.
+// Networks without a bridge API (e.g. local) take `burnFee` as is.
+async function resolveBurnFee({ burnFee, apiClient, network } = {}) {
+  apiClient = apiClient || apiClientFor(getNetwork(network));
+  if (!apiClient) {
+    if (burnFee === undefined || burnFee === null) throw new Error(`network "${getNetwork(network).name}" has no bridge API; pass burnFee`);
+    return toWei(burnFee, 'burnFee');
+  }
+  const { bridgeFeeWei } = await apiClient.getBridgeFee();
+  if (burnFee === undefined || burnFee === null) return bridgeFeeWei;
+
+  const fee = toWei(burnFee, 'burnFee');
+  if (fee < bridgeFeeWei) {
+    throw new Error(`burnFee ${fee} wei is below the published bridge fee of ${bridgeFeeWei} wei`);
+  }
+  return fee;
+}
+
+// Resolve the L2 burn amount: `amountDecimal` is converted with the pair's
+// decimals; a raw `amount` must still convert to whole L1 units (no dust)
+function resolveBurnAmount({ amount, amountDecimal, tokenPair }) {
+  if (amountDecimal !== undefined) {
+    if (!tokenPair) throw new Error('tokenPair is required with amountDecimal');
+    return toL2Units(amountDecimal, tokenPair);
+  }
+
+  const units = toWei(amount, 'amount');
+  if (tokenPair) {
+    l2ToL1(units, tokenPair);
+    assertWithinMaxSupply(units, tokenPair);
+  }
+  return units;
+}
+
+// viem chain definition of a network profile
+function chainFor(profile) {
+  return {
+    id: profile.chainId,
+    name: `Kasplex ${profile.name}`,
     nativeCurrency: { name: 'Kaspa', symbol: 'KAS', decimals: 18 },
-    rpcUrls: { default: { http: [CONFIG.RPC] } },
-    blockExplorers: { default: { name: 'Kasplex Explorer', url: 'https://explorer.kasplex.org' } }
+    rpcUrls: { default: { http: [profile.rpcUrl] } },
+    ...(profile.explorerUrl && { blockExplorers: { default: { name: 'Kasplex Explorer', url: profile.explorerUrl } } }),
   };
+}
 
+// Create viem clients
+function createClients(privateKey, network) {
+  const profile = getNetwork(network);
+  const account = privateKeyToAccount(privateKey);
+  const chain = chainFor(profile);
   return {
-    publicClient: createPublicClient({ chain, transport: http(CONFIG.RPC) }),
-    walletClient: createWalletClient({ account, chain, transport: http(CONFIG.RPC) }),
+    publicClient: createPublicClient({ chain, transport: http(profile.rpcUrl) }),
+    walletClient: createWalletClient({ account, chain, transport: http(profile.rpcUrl) }),
     account
   };
 }
 
+function createReadClient(network) {
+  const profile = getNetwork(network);
+  return createPublicClient({ chain: chainFor(profile), transport: http(profile.rpcUrl) });
+}
+
+// Read the token balance and the bridge contract's allowance for `owner`
+async function checkBalanceAndAllowance({ publicClient, tokenAddress, owner, amount, network }) {
+  const contract = requireNetworkValue(getNetwork(network), 'bridgeContract');
+  const [balance, allowance] = await Promise.all([
+    publicClient.readContract({ address: tokenAddress, abi: erc20Abi, functionName: 'balanceOf', args: [owner] }),
+    publicClient.readContract({ address: tokenAddress, abi: erc20Abi, functionName: 'allowance', args: [owner, contract] }),
+  ]);
+  return { balance, allowance, sufficientBalance: balance >= amount, sufficientAllowance: allowance >= amount };
+}
+
+// Approve the bridge contract to spend `amount` ('exact') or everything ('unlimited')
+async function approveBridge({ publicClient, walletClient, tokenAddress, amount, approval, contract, logger = console }) {
+  if (approval !== 'exact' && approval !== 'unlimited') {
+    throw new Error(`approval must be 'exact', 'unlimited' or 'none', got '${approval}'`);
+  }
+  const approveAmount = approval === 'unlimited' ? maxUint256 : amount;
+
+  const hash = await walletClient.writeContract({
+    address: tokenAddress,
+    abi: erc20Abi,
+    functionName: 'approve',
+    args: [contract, approveAmount],
+  });
+  logger.log('✅ Approve submitted:', hash);
+
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  if (receipt.status !== 'success') throw new Error(`approve transaction ${hash} reverted`);
+  logger.log('✅ Approve confirmed! Block:', receipt.blockNumber);
+
+  return { hash, receipt, amount: approveAmount };
+}
+
 // Execute burn transaction
-async function burnTokens({ privateKey, tokenAddress, amount, kaspaAddress, burnFee = CONFIG.BURN_FEE }) {
+// Steps: fee → balance/allowance → approve (if needed and allowed) → burn.
+// `approval`: 'exact' (default), 'unlimited', or 'none' to fail instead of approving.
+// `network`: profile name from networks.js (default: KAT_BRIDGE_NETWORK or mainnet).
+// `logger`: where progress is printed (default: console), anything with log() and error().
+// `publicClient`/`walletClient`: viem clients to use instead of ones made from `privateKey`.
+async function burnTokens({ privateKey, publicClient, walletClient, tokenAddress, amount, amountDecimal, tokenPair, kaspaAddress, burnFee, apiClient, approval = 'exact', network, logger = console }) {
+  const steps = { fee: null, balance: null, allowance: null, approve: null, burn: null };
   try {
-    console.log('🔥 Burning tokens for bridge-back...');
-    console.log(`Token: ${tokenAddress}`);
-    console.log(`Amount: ${amount}`);
-    console.log(`To Kaspa: ${kaspaAddress}`);
-    console.log(`Burn Fee: ${burnFee}`);
+    const profile = getNetwork(network);
+    const contract = requireNetworkValue(profile, 'bridgeContract');
+
+    // A mistyped address would burn tokens that can never be released on L1
+    assertKaspaAddress(kaspaAddress, { network: profile.kaspaPrefix });
+
+    burnFee = await resolveBurnFee({ burnFee, apiClient, network: profile });
+    amount = resolveBurnAmount({ amount, amountDecimal, tokenPair });
+    tokenAddress = tokenAddress || (tokenPair && tokenPair.l2_address);
+    if (!tokenAddress) throw new Error('tokenAddress or tokenPair is required');
+    steps.fee = { burnFee };
+
+    logger.log('🔥 Burning tokens for bridge-back...');
+    logger.log(`Token: ${tokenAddress}`);
+    logger.log(`Amount: ${amount}`);
+    logger.log(`To Kaspa: ${kaspaAddress}`);
+    logger.log(`Burn Fee: ${burnFee}`);
+
+    if (!walletClient) ({ publicClient, walletClient } = createClients(privateKey, profile));
+    if (!publicClient) throw new Error('publicClient is required with walletClient');
+    const { account } = walletClient;
+    logger.log(`From: ${account.address}`);
+
+    // Check balance and allowance before anything hits the chain
+    const check = await checkBalanceAndAllowance({ publicClient, tokenAddress, owner: account.address, amount, network: profile });
+    steps.balance = { balance: check.balance, required: amount, ok: check.sufficientBalance };
+    steps.allowance = { allowance: check.allowance, required: amount, ok: check.sufficientAllowance };
+    if (!check.sufficientBalance) {
+      throw new Error(`insufficient token balance: have ${check.balance}, need ${amount}`);
+    }
 
-    const { publicClient, walletClient, account } = createClients(privateKey);
-    console.log(`From: ${account.address}`);
+    if (!check.sufficientAllowance) {
+      if (approval === 'none') {
+        throw new Error(`insufficient allowance for bridge contract: have ${check.allowance}, need ${amount}`);
+      }
+      steps.approve = await approveBridge({ publicClient, walletClient, tokenAddress, amount, approval, contract, logger });
+    }
 
     // Get gas estimate
     const gasEstimate = await publicClient.estimateContractGas({
-      address: CONFIG.CONTRACT,
+      address: contract,
       abi: bridgeAbi,
       functionName: 'burnForBridgeBack',
       args: [tokenAddress, amount, kaspaAddress],
       account: account.address,
-      value: BigInt(burnFee)
+      value: burnFee
     });
 
     // Execute transaction
     const hash = await walletClient.writeContract({
-      address: CONFIG.CONTRACT,
+      address: contract,
       abi: bridgeAbi,
       functionName: 'burnForBridgeBack',
       args: [tokenAddress, amount, kaspaAddress],
-      value: BigInt(burnFee),
+      value: burnFee,
       gas: gasEstimate
     });
 
-    console.log('✅ Transaction submitted:', hash);
-    console.log('⏳ Waiting for confirmation...');
+    logger.log('✅ Transaction submitted:', hash);
+    logger.log('⏳ Waiting for confirmation...');
 
     const receipt = await publicClient.waitForTransactionReceipt({ hash });
-    console.log('✅ Confirmed! Block:', receipt.blockNumber);
-    console.log('Gas used:', receipt.gasUsed.toString());
+    logger.log('✅ Confirmed! Block:', receipt.blockNumber);
+    logger.log('Gas used:', receipt.gasUsed.toString());
+    steps.burn = { hash, receipt };
+
+    return { success: true, hash, receipt, steps };
+
+  } catch (error) {
+    logger.error('❌ Error:', error.message);
+    return { success: false, error: error.message, steps };
+  }
+}
+
+// === Burn Records ===
+const burnEvent = bridgeAbi.find((item) => item.type === 'event' && item.name === 'BurnForBridgeBack');
+
+// BurnForBridgeBack log → { user, token, amount, kaspaAddress, fee, blockNumber, transactionHash, logIndex }
+function toBurnRecord(log) {
+  const { user, token, amount, kaspaAddress, fee } = log.args;
+  return {
+    user,
+    token,
+    amount,
+    kaspaAddress,
+    fee,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+  };
+}
+
+// Burns emitted by the bridge contract in a transaction receipt
+function decodeBridgeLogs(receipt, { network, contract = requireNetworkValue(getNetwork(network), 'bridgeContract') } = {}) {
+  const logs = receipt.logs.filter((log) => log.address.toLowerCase() === contract.toLowerCase());
+  return parseEventLogs({ abi: bridgeAbi, eventName: 'BurnForBridgeBack', logs }).map(toBurnRecord);
+}
 
-    return { success: true, hash, receipt };
+// Burn made by a mined transaction, read from its burnForBridgeBack calldata and
+// value (no logIndex). Null for anything but a successful burnForBridgeBack call
+// to the bridge; used for receipts that carry no BurnForBridgeBack log.
+function decodeBurnTransaction(transaction, receipt, { network, contract = requireNetworkValue(getNetwork(network), 'bridgeContract') } = {}) {
+  if (!transaction.to || transaction.to.toLowerCase() !== contract.toLowerCase()) return null;
+  if (receipt && receipt.status !== 'success') return null;
 
+  let call;
+  try {
+    call = decodeFunctionData({ abi: bridgeAbi, data: transaction.input });
   } catch (error) {
-    console.error('❌ Error:', error.message);
-    return { success: false, error: error.message };
+    return null; // Another bridge function
   }
+  if (call.functionName !== 'burnForBridgeBack') return null;
+
+  const [token, amount, kaspaAddress] = call.args;
+  return {
+    user: transaction.from,
+    token,
+    amount,
+    kaspaAddress,
+    fee: transaction.value,
+    blockNumber: transaction.blockNumber,
+    transactionHash: transaction.hash,
+  };
+}
+
+// Burns in a block range, optionally for one account and/or token. The range
+// is queried in `blockRange`-sized chunks to stay under RPC log limits.
+async function getBurnHistory({ fromBlock = 0n, toBlock, account, token, publicClient, network, contract, blockRange = 10000n } = {}) {
+  const profile = getNetwork(network);
+  contract = contract || requireNetworkValue(profile, 'bridgeContract');
+  publicClient = publicClient || createReadClient(profile);
+  fromBlock = BigInt(fromBlock);
+  toBlock = toBlock === undefined ? await publicClient.getBlockNumber({ cacheTime: 0 }) : BigInt(toBlock);
+  blockRange = BigInt(blockRange);
+  if (blockRange < 1n) throw new Error('blockRange must be at least 1');
+
+  const records = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = start + blockRange - 1n < toBlock ? start + blockRange - 1n : toBlock;
+    const logs = await publicClient.getLogs({
+      address: contract,
+      event: burnEvent,
+      args: { user: account, token },
+      fromBlock: start,
+      toBlock: end,
+    });
+    records.push(...logs.map(toBurnRecord));
+  }
+  return records;
 }
 
 // Test function
 async function test() {
   console.log('🧪 Testing burn script...\n');
 
+  const tokenPair = await bridgeApi.getTokenPair({ l2Address: "0x9a5a144290dffA24C6c7Aa8cA9A62319E60973D8" }); // ← Replace with token address
+
   const params = {
     privateKey: "0x...", // ← Replace with your private key, should start with 0x prefix
-    tokenAddress: "0x9a5a144290dffA24C6c7Aa8cA9A62319E60973D8", // ← Replace with token address
-    amount: parseEther("1"), // 1 token
+    tokenPair,
+    amountDecimal: "1", // 1 token, converted with the pair's L2 decimals
     kaspaAddress: "kaspa:qzpc2wtp5vrru728852zs567tjgghu5vrluxd2mtt9wy5tywpasz56vzfvg6m", // ← Replace with Kaspa address
-    burnFee: 10000000000000000000 // 10 KAS fee in wei  
+    // burnFee omitted: the current fee is fetched from https://api.katbridge.com/bridge-fee
   };
 
   const result = await burnTokens(params);
@@ -105,7 +330,7 @@ async function test() {
 }
 
 // Export
-module.exports = { burnTokens, CONFIG };
+module.exports = { burnTokens, resolveBurnFee, checkBalanceAndAllowance, approveBridge, decodeBridgeLogs, decodeBurnTransaction, getBurnHistory, createReadClient, bridgeAbi, CONFIG };
 
 // Run test if executed directly
 if (require.main === module) {
@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeFunctionData, encodeEventTopics, encodeAbiParameters, getAddress, erc20Abi, maxUint256 } = require('viem');
+const { decodeBridgeLogs, decodeBurnTransaction, getBurnHistory, resolveBurnFee, checkBalanceAndAllowance, approveBridge, burnTokens, bridgeAbi } = require('./from_l2_to_l1.js');
+const { NETWORKS } = require('./networks.js');
+
+const BRIDGE = NETWORKS.mainnet.bridgeContract;
+const TOKEN = '0x9a5a144290dffa24c6c7aa8ca9a62319e60973d8';
+const ALICE = '0x742d35cc6639c2532a78444b5d4f71c8be6e5678';
+const BOB = '0x00000000000000000000000000000000000000b0';
+const KASPA_ADDRESS = 'kaspa:qypca63358auyh2hxdvnxmjleu7snzytrkgwt46a3tr6k2l8xcpvelqhygnprgs';
+
+function burnTx({ hash, from = ALICE, to = BRIDGE, token = TOKEN, amount = 10n ** 18n, blockNumber = 10n }) {
+  return {
+    hash,
+    from,
+    to,
+    value: 10n ** 19n,
+    blockNumber,
+    input: encodeFunctionData({ abi: bridgeAbi, functionName: 'burnForBridgeBack', args: [token, amount, KASPA_ADDRESS] }),
+  };
+}
+
+// BurnForBridgeBack log as returned in a receipt
+function burnLog({ address = BRIDGE, user = ALICE, token = TOKEN, amount = 10n ** 18n, logIndex = 0 }) {
+  return {
+    address,
+    topics: encodeEventTopics({ abi: bridgeAbi, eventName: 'BurnForBridgeBack', args: { user, token } }),
+    data: encodeAbiParameters(
+      [{ type: 'uint256' }, { type: 'string' }, { type: 'uint256' }],
+      [amount, KASPA_ADDRESS, 10n ** 19n]
+    ),
+    blockNumber: 10n,
+    transactionHash: '0x01',
+    logIndex,
+  };
+}
+
+test('decodeBridgeLogs reads BurnForBridgeBack events of the bridge only', () => {
+  const receipt = {
+    logs: [
+      burnLog({ address: TOKEN }),
+      burnLog({ logIndex: 3 }),
+      { address: BRIDGE, topics: ['0x' + '00'.repeat(32)], data: '0x', logIndex: 4 },
+    ],
+  };
+  assert.deepEqual(decodeBridgeLogs(receipt), [{
+    user: getAddress(ALICE),
+    token: getAddress(TOKEN),
+    amount: 10n ** 18n,
+    kaspaAddress: KASPA_ADDRESS,
+    fee: 10n ** 19n,
+    blockNumber: 10n,
+    transactionHash: '0x01',
+    logIndex: 3,
+  }]);
+});
+
+test('decodes a burnForBridgeBack call into a burn record', () => {
+  const tx = burnTx({ hash: '0x01' });
+  assert.deepEqual(decodeBurnTransaction(tx, { status: 'success' }), {
+    user: ALICE,
+    token: '0x9a5a144290dffA24C6c7Aa8cA9A62319E60973D8',
+    amount: 10n ** 18n,
+    kaspaAddress: KASPA_ADDRESS,
+    fee: 10n ** 19n,
+    blockNumber: 10n,
+    transactionHash: '0x01',
+  });
+});
+
+test('ignores reverted burns, other contracts and other calls', () => {
+  assert.equal(decodeBurnTransaction(burnTx({ hash: '0x01' }), { status: 'reverted' }), null);
+  assert.equal(decodeBurnTransaction(burnTx({ hash: '0x01', to: TOKEN }), { status: 'success' }), null);
+  const approve = { ...burnTx({ hash: '0x01' }), input: encodeFunctionData({ abi: erc20Abi, functionName: 'approve', args: [BRIDGE, 1n] }) };
+  assert.equal(decodeBurnTransaction(approve, { status: 'success' }), null);
+});
+
+test('getBurnHistory queries bridge logs in block-range chunks', async () => {
+  const queries = [];
+  const publicClient = {
+    async getBlockNumber() {
+      return 25n;
+    },
+    async getLogs(query) {
+      queries.push(query);
+      return [{ ...burnLog({}), args: { user: ALICE, token: TOKEN, amount: query.fromBlock, kaspaAddress: KASPA_ADDRESS, fee: 1n } }];
+    },
+  };
+
+  const burns = await getBurnHistory({ publicClient, fromBlock: 3n, blockRange: 10n, account: ALICE, token: TOKEN });
+  assert.deepEqual(queries.map(({ fromBlock, toBlock }) => [fromBlock, toBlock]), [[3n, 12n], [13n, 22n], [23n, 25n]]);
+  assert.deepEqual(burns.map((burn) => burn.amount), [3n, 13n, 23n]);
+  assert.equal(queries[0].address, BRIDGE);
+  assert.equal(queries[0].event.name, 'BurnForBridgeBack');
+  assert.deepEqual(queries[0].args, { user: ALICE, token: TOKEN });
+
+  queries.length = 0;
+  await getBurnHistory({ publicClient, toBlock: 4n });
+  assert.deepEqual(queries.map(({ fromBlock, toBlock }) => [fromBlock, toBlock]), [[0n, 4n]]);
+  await assert.rejects(getBurnHistory({ publicClient, blockRange: 0n }), /blockRange must be at least 1/);
+});
+
+// Bridge API client publishing a 10 KAS fee
+const apiClient = { getBridgeFee: async () => ({ bridgeFeeWei: 10n ** 19n }) };
+
+test('resolveBurnFee falls back to the published fee', async () => {
+  assert.equal(await resolveBurnFee({ apiClient }), 10n ** 19n);
+  assert.equal(await resolveBurnFee({ apiClient, burnFee: null }), 10n ** 19n);
+});
+
+test('resolveBurnFee accepts an override at or above the published fee only', async () => {
+  assert.equal(await resolveBurnFee({ apiClient, burnFee: 2n * 10n ** 19n }), 2n * 10n ** 19n);
+  assert.equal(await resolveBurnFee({ apiClient, burnFee: '10000000000000000000' }), 10n ** 19n);
+  await assert.rejects(resolveBurnFee({ apiClient, burnFee: 10n ** 19n - 1n }), /below the published bridge fee of 10000000000000000000 wei/);
+});
+
+test('resolveBurnFee only takes exact integer fees', async () => {
+  await assert.rejects(resolveBurnFee({ apiClient, burnFee: 1e19 }), /burnFee must be a BigInt or integer string in wei/);
+  await assert.rejects(resolveBurnFee({ apiClient, burnFee: '10.5' }), /burnFee must be a BigInt or integer string in wei/);
+  await assert.rejects(resolveBurnFee({ network: 'local' }), /network "local" has no bridge API; pass burnFee/);
+  assert.equal(await resolveBurnFee({ network: 'local', burnFee: 5n }), 5n);
+});
+
+// viem clients recording every call, for an owner holding `balance` with `allowance` for the bridge
+function fakeClients({ balance, allowance }) {
+  const calls = [];
+  const publicClient = {
+    async readContract({ address, functionName, args }) {
+      calls.push([functionName, address, ...args]);
+      return functionName === 'balanceOf' ? balance : allowance;
+    },
+    async estimateContractGas({ functionName }) {
+      calls.push(['estimateGas', functionName]);
+      return 100000n;
+    },
+    async waitForTransactionReceipt({ hash }) {
+      calls.push(['wait', hash]);
+      return { status: 'success', transactionHash: hash, blockNumber: 7n, gasUsed: 21000n };
+    },
+  };
+  const walletClient = {
+    account: { address: ALICE },
+    async writeContract({ functionName, args, value }) {
+      calls.push([functionName, ...args, value]);
+      return functionName === 'approve' ? '0xa1' : '0xb1';
+    },
+  };
+  return { publicClient, walletClient, calls };
+}
+
+const quiet = { log() {}, error() {} };
+const burn = (clients, overrides) => burnTokens({
+  ...clients,
+  tokenAddress: TOKEN,
+  amount: 10n ** 18n,
+  kaspaAddress: KASPA_ADDRESS,
+  apiClient,
+  logger: quiet,
+  ...overrides,
+});
+
+test('checkBalanceAndAllowance reads the balance and the bridge allowance', async () => {
+  const { publicClient, calls } = fakeClients({ balance: 5n, allowance: 2n });
+  const check = await checkBalanceAndAllowance({ publicClient, tokenAddress: TOKEN, owner: ALICE, amount: 3n });
+  assert.deepEqual(check, { balance: 5n, allowance: 2n, sufficientBalance: true, sufficientAllowance: false });
+  assert.deepEqual(calls, [['balanceOf', TOKEN, ALICE], ['allowance', TOKEN, ALICE, BRIDGE]]);
+});
+
+test('burnTokens approves the exact amount before burning', async () => {
+  const { calls, ...clients } = fakeClients({ balance: 2n * 10n ** 18n, allowance: 0n });
+  const result = await burn(clients);
+
+  assert.equal(result.success, true);
+  assert.equal(result.hash, '0xb1');
+  assert.deepEqual(calls, [
+    ['balanceOf', TOKEN, ALICE],
+    ['allowance', TOKEN, ALICE, BRIDGE],
+    ['approve', BRIDGE, 10n ** 18n, undefined],
+    ['wait', '0xa1'],
+    ['estimateGas', 'burnForBridgeBack'],
+    ['burnForBridgeBack', TOKEN, 10n ** 18n, KASPA_ADDRESS, 10n ** 19n],
+    ['wait', '0xb1'],
+  ]);
+  const { fee, balance, allowance, approve } = result.steps;
+  assert.deepEqual(fee, { burnFee: 10n ** 19n });
+  assert.deepEqual(balance, { balance: 2n * 10n ** 18n, required: 10n ** 18n, ok: true });
+  assert.deepEqual(allowance, { allowance: 0n, required: 10n ** 18n, ok: false });
+  assert.deepEqual([approve.hash, approve.amount], ['0xa1', 10n ** 18n]);
+  assert.equal(result.steps.burn.hash, '0xb1');
+});
+
+test('burnTokens approves the maximum with approval unlimited', async () => {
+  const { calls, ...clients } = fakeClients({ balance: 10n ** 18n, allowance: 0n });
+  const result = await burn(clients, { approval: 'unlimited' });
+  assert.equal(result.success, true);
+  assert.deepEqual(calls[2], ['approve', BRIDGE, maxUint256, undefined]);
+  assert.equal(result.steps.approve.amount, maxUint256);
+});
+
+test('burnTokens skips approve when the allowance covers the amount', async () => {
+  const { calls, ...clients } = fakeClients({ balance: 10n ** 18n, allowance: 10n ** 18n });
+  const result = await burn(clients, { approval: 'none' });
+  assert.equal(result.success, true);
+  assert.equal(result.steps.approve, null);
+  assert.equal(calls.some(([name]) => name === 'approve'), false);
+});
+
+test('burnTokens with approval none fails on a low allowance without writing', async () => {
+  const { calls, ...clients } = fakeClients({ balance: 10n ** 18n, allowance: 1n });
+  const result = await burn(clients, { approval: 'none' });
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'insufficient allowance for bridge contract: have 1, need 1000000000000000000');
+  assert.deepEqual(calls.map(([name]) => name), ['balanceOf', 'allowance']);
+});
+
+test('burnTokens refuses to burn more than the balance', async () => {
+  const { calls, ...clients } = fakeClients({ balance: 10n, allowance: maxUint256 });
+  const result = await burn(clients);
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'insufficient token balance: have 10, need 1000000000000000000');
+  assert.deepEqual(result.steps.balance, { balance: 10n, required: 10n ** 18n, ok: false });
+  assert.equal(result.steps.approve, null);
+  assert.equal(result.steps.burn, null);
+  assert.deepEqual(calls.map(([name]) => name), ['balanceOf', 'allowance']);
+});
+
+test('approveBridge rejects an unknown approval mode', async () => {
+  const { calls, ...clients } = fakeClients({ balance: 0n, allowance: 0n });
+  await assert.rejects(
+    approveBridge({ ...clients, tokenAddress: TOKEN, amount: 1n, approval: 'all', contract: BRIDGE, logger: quiet }),
+    /approval must be 'exact', 'unlimited' or 'none', got 'all'/
+  );
+  assert.deepEqual(calls, []);
+});
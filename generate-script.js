@@ -3,92 +3,25 @@
 // - Uses "kasplex" envelope identifier (matching parse-script.js)
 // - Uses KRC-20 protocol for token transfers (matching parse-script.js)
 // - Uses amount parameter for token amounts
-// - Attempts to use cbor-x library for proper CBOR encoding
-// - Falls back to custom CBOR implementation if cbor-x is not available
-
-// === CBOR-X Implementation ===
-// Using cbor-x library for proper CBOR encoding (matching bridge-ui implementation)
-let cborEncode;
-
-// Try to load cbor-x library
-try {
-  const cborX = require('cbor-x');
-  cborEncode = cborX.encode;
-} catch (error) {
-  console.warn('cbor-x library not found, falling back to custom implementation');
-  
-  // Fallback custom CBOR implementation
-  cborEncode = function(value) {
-    const encoder = new TextEncoder();
-    
-    if (typeof value === 'number') {
-      if (Number.isInteger(value) && value >= 0) {
-        if (value < 24) {
-          return new Uint8Array([0x00 | value]);
-        } else if (value < 256) {
-          return new Uint8Array([0x18, value]);
-        } else if (value < 65536) {
-          return new Uint8Array([0x19, value >> 8, value & 0xff]);
-        } else if (value < 4294967296) {
-          return new Uint8Array([0x1a, value >> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]);
-        }
-      }
-    }
-    
-    if (value instanceof Uint8Array) {
-      const len = value.length;
-      let header;
-      if (len < 24) {
-        header = new Uint8Array([0x40 | len]);
-      } else if (len < 256) {
-        header = new Uint8Array([0x58, len]);
-      } else if (len < 65536) {
-        header = new Uint8Array([0x59, len >> 8, len & 0xff]);
-      } else {
-        throw new Error('Data too large for CBOR');
-      }
-      const result = new Uint8Array(header.length + len);
-      result.set(header, 0);
-      result.set(value, header.length);
-      return result;
-    }
-    
-    if (typeof value === 'object' && value !== null) {
-      const entries = Object.entries(value);
-      const mapHeader = new Uint8Array([0xa0 | entries.length]);
-      const parts = [mapHeader];
-      
-      for (const [key, val] of entries) {
-        // Encode key (assuming string keys)
-        const keyBytes = encoder.encode(key);
-        const keyLen = keyBytes.length;
-        let keyHeader;
-        if (keyLen < 24) {
-          keyHeader = new Uint8Array([0x60 | keyLen]);
-        } else if (keyLen < 256) {
-          keyHeader = new Uint8Array([0x78, keyLen]);
-        } else {
-          throw new Error('Key too long for CBOR');
-        }
-        parts.push(keyHeader, keyBytes);
-        
-        // Encode value
-        parts.push(cborEncode(val));
-      }
-      
-      const totalLen = parts.reduce((sum, part) => sum + part.length, 0);
-      const result = new Uint8Array(totalLen);
-      let offset = 0;
-      for (const part of parts) {
-        result.set(part, offset);
-        offset += part.length;
-      }
-      return result;
-    }
-    
-    throw new Error('Unsupported CBOR type');
-  };
-}
+// - Encodes the EXTRA blob with the built-in CBOR codec (cbor.js), which is
+//   byte-for-byte compatible with cbor-x (the bridge-ui encoder)
+
+const { encode: cborEncode } = require('./cbor.js');
+const { ScriptBuilder, OPCODES, MAX_SCRIPT_ELEMENT_SIZE } = require('./script-builder.js');
+const { toL1Units, l1ToL2, assertWithinMaxSupply } = require('./token-amounts.js');
+const { validateKrc20Token, tokenFromPair, tokenPairMatches } = require('./krc20-token.js');
+const { getNetwork, requireNetworkValue, NETWORKS } = require('./networks.js');
+
+// L1 Bridge Vault Address (mainnet), where deposited KRC-20 tokens are sent
+const MAINNET_VAULT_ADDRESS = NETWORKS.mainnet.vaultAddress;
+// KRC-20 tokens use 8 decimals unless deployed with another `dec`
+const KRC20_DEFAULT_DECIMALS = 8;
+// Kasplex envelope protocol tag
+const PROTOCOL_TAG = 'kasplex';
+
+const { OP_0, OP_1, OP_FALSE, OP_IF, OP_ENDIF, OP_CHECKSIG, OP_CHECKMULTISIG, OP_CHECKMULTISIGECDSA } = OPCODES;
+// Key counts are pushed as OP_1..OP_16
+const MAX_MULTISIG_KEYS = 16;
 
 // === Utility Functions ===
 function bytesToHex(bytes) {
@@ -147,125 +80,157 @@ function buildOptimalExtraAndContent(params) {
   return { extra, content };
 }
 
-function buildEnvelopeSuffix(extra, contentJson) {
-  const enc = new TextEncoder();
-  const parts = [];
-  
-  // OP_FALSE
-  parts.push(new Uint8Array([0x00]));
-  // OP_IF
-  parts.push(new Uint8Array([0x63]));
-  // "kasplex" (matching parse-script.js expectations)
-  parts.push(new Uint8Array([0x07]), enc.encode('kasplex'));
+// Each lane is pushed in chunks of at most `maxPushSize` bytes (default: the
+// 520-byte element limit), so a lane longer than that spans several pushes
+function buildEnvelopeSuffix(extra, contentJson, { maxPushSize = MAX_SCRIPT_ELEMENT_SIZE } = {}) {
+  const script = new ScriptBuilder()
+    .addOp(OP_FALSE)
+    .addOp(OP_IF)
+    // "kasplex" (matching parse-script.js expectations)
+    .addData(PROTOCOL_TAG);
 
   if (extra && extra.length > 0) {
-    // OP_1
-    parts.push(new Uint8Array([0x51]));
-    // Push extra data
-    if (extra.length <= 0x4b) {
-      parts.push(new Uint8Array([extra.length]), extra);
-    } else if (extra.length <= 0xff) {
-      parts.push(new Uint8Array([0x4c, extra.length]), extra);
-    } else {
-      throw new Error('Extra data too large');
-    }
+    script.addOp(OP_1).addChunkedData(extra, maxPushSize);
   }
 
-  // OP_FALSE (marker 0)
-  parts.push(new Uint8Array([0x00]));
-  // Push content
-  const contentBytes = enc.encode(contentJson);
-  if (contentBytes.length <= 0x4b) {
-    parts.push(new Uint8Array([contentBytes.length]), contentBytes);
-  } else if (contentBytes.length <= 0xff) {
-    parts.push(new Uint8Array([0x4c, contentBytes.length]), contentBytes);
-  } else {
-    throw new Error('Content too large');
-  }
-  
-  // OP_ENDIF
-  parts.push(new Uint8Array([0x68]));
-
-  const totalLen = parts.reduce((sum, part) => sum + part.length, 0);
-  const suffix = new Uint8Array(totalLen);
-  let offset = 0;
-  for (const part of parts) {
-    suffix.set(part, offset);
-    offset += part.length;
-  }
-  
+  // OP_0 (content marker) <content>
+  script.addOp(OP_0).addChunkedData(contentJson, maxPushSize).addOp(OP_ENDIF);
+
+  const suffix = script.build();
   if (suffix.length > 520) throw new Error('envelope too large (>520 bytes)');
   return suffix;
 }
 
-function buildSingleSigRedeem(pubkey33, envelopeSuffix) {
-  // Convert 33-byte compressed to 32-byte x-only if needed
-  const isCompressed = pubkey33.length === 33 && (pubkey33[0] === 0x02 || pubkey33[0] === 0x03);
-  const isXOnly = pubkey33.length === 32;
+// 33-byte compressed or 32-byte x-only key as the 32-byte x-only key
+function toXOnlyKey(publicKey) {
+  const isCompressed = publicKey.length === 33 && (publicKey[0] === 0x02 || publicKey[0] === 0x03);
+  const isXOnly = publicKey.length === 32;
   if (!isCompressed && !isXOnly) throw new Error('pubkey must be 33-byte compressed or 32-byte x-only');
+  return isCompressed ? publicKey.slice(1) : publicKey;
+}
 
-  const pubkeyXOnly = isCompressed ? pubkey33.slice(1) : pubkey33;
+function buildSingleSigRedeem(pubkey33, envelopeSuffix) {
+  const redeem = new ScriptBuilder()
+    .addData(toXOnlyKey(pubkey33))
+    .addOp(OP_CHECKSIG)
+    .addScript(envelopeSuffix)
+    .build();
 
-  const parts = [];
-  
-  // Push public key
-  if (pubkeyXOnly.length <= 0x4b) {
-    parts.push(new Uint8Array([pubkeyXOnly.length]), pubkeyXOnly);
-  } else {
-    throw new Error('Public key too large');
-  }
-  
-  // OP_CHECKSIG
-  parts.push(new Uint8Array([0xac]));
-  
-  // Envelope suffix
-  parts.push(envelopeSuffix);
-
-  const totalLen = parts.reduce((sum, part) => sum + part.length, 0);
-  const redeem = new Uint8Array(totalLen);
-  let offset = 0;
-  for (const part of parts) {
-    redeem.set(part, offset);
-    offset += part.length;
+  if (redeem.length > 520) throw new Error('redeem exceeds 520-byte limit');
+  return redeem;
+}
+
+// M-of-N owner in front of the envelope:
+// OP_<m> <key>... OP_<n> OP_CHECKMULTISIG (x-only Schnorr keys), or
+// OP_CHECKMULTISIGECDSA with 33-byte compressed keys when `ecdsa` is set
+function buildMultisigRedeem({ publicKeys, required, ecdsa = false }, envelopeSuffix) {
+  if (!Array.isArray(publicKeys) || publicKeys.length === 0) throw new Error('multisig.publicKeys is required');
+  if (publicKeys.length > MAX_MULTISIG_KEYS) throw new Error(`multisig supports at most ${MAX_MULTISIG_KEYS} keys`);
+  if (!Number.isInteger(required) || required < 1 || required > publicKeys.length) {
+    throw new Error(`multisig.required must be between 1 and ${publicKeys.length}`);
   }
-  
+
+  const keys = publicKeys.map((key) => {
+    const bytes = typeof key === 'string' ? hexToBytes(key) : key;
+    if (!ecdsa) return toXOnlyKey(bytes);
+    if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) throw new Error('ECDSA multisig keys must be 33-byte compressed');
+    return bytes;
+  });
+  if (new Set(keys.map(bytesToHex)).size !== keys.length) throw new Error('multisig.publicKeys contains duplicates');
+
+  const script = new ScriptBuilder().addSmallInt(required);
+  keys.forEach((key) => script.addData(key));
+  const redeem = script
+    .addSmallInt(keys.length)
+    .addOp(ecdsa ? OP_CHECKMULTISIGECDSA : OP_CHECKMULTISIG)
+    .addScript(envelopeSuffix)
+    .build();
+
   if (redeem.length > 520) throw new Error('redeem exceeds 520-byte limit');
   return redeem;
 }
 
 // === Main Export Function ===
+// Resolve the L1 amount from either `amount` (L1 base units) or `amountDecimal`
+// (decimal string, using the token pair's l1_decimals or `decimals`)
+function resolveAmount(params) {
+  const hasAmount = params.amount !== undefined && params.amount !== null;
+  const hasDecimal = params.amountDecimal !== undefined && params.amountDecimal !== null;
+  if (hasAmount && hasDecimal) throw new Error('pass either amount or amountDecimal, not both');
+  if (!hasAmount && !hasDecimal) throw new Error('amount or amountDecimal is required');
+
+  const pair = params.tokenPair || {
+    l1_decimals: params.decimals !== undefined ? params.decimals : KRC20_DEFAULT_DECIMALS,
+    l2_decimals: params.decimals !== undefined ? params.decimals : KRC20_DEFAULT_DECIMALS,
+  };
+
+  if (hasDecimal) return toL1Units(params.amountDecimal, pair);
+
+  const amount = BigInt(params.amount);
+  if (amount <= 0n) throw new Error('amount must be greater than zero');
+  // `amount` is in L1 base units; with a token pair it must also fit the L2 token
+  if (params.tokenPair) assertWithinMaxSupply(l1ToL2(amount, params.tokenPair), params.tokenPair);
+  return amount;
+}
+
+// Token from `token` ({ mode: 'mint', tick } or { mode: 'issue', ca }) or from the token pair
+function resolveToken(params) {
+  if (!params.token) {
+    if (!params.tokenPair) throw new Error('token is required');
+    return validateKrc20Token(tokenFromPair(params.tokenPair));
+  }
+  const token = validateKrc20Token(params.token);
+  if (params.tokenPair && !tokenPairMatches(params.tokenPair, token)) {
+    throw new Error(`token ${token.ca || token.tick} does not match the supplied token pair`);
+  }
+  return token;
+}
+
+// `to` and `vaultAddress` are aliases; default to the vault of `params.network`
+// (KAT_BRIDGE_NETWORK or mainnet when not given)
+function resolveVaultAddress(params) {
+  if (params.to && params.vaultAddress && params.to !== params.vaultAddress) {
+    throw new Error('to and vaultAddress must match when both are given');
+  }
+  return params.to || params.vaultAddress || requireNetworkValue(getNetwork(params.network), 'vaultAddress');
+}
+
 function generateBridgeScript(params) {
   // Validate required parameters
-  if (!params.publicKey) throw new Error('publicKey is required');
+  if (!params.publicKey && !params.multisig) throw new Error('publicKey (or multisig) is required');
+  if (params.publicKey && params.multisig) throw new Error('pass either publicKey or multisig, not both');
   if (!params.chainId) throw new Error('chainId is required');
   if (!params.l2Address) throw new Error('l2Address is required');
   if (!params.signatureRS) throw new Error('signatureRS is required');
-  if (!params.token) throw new Error('token is required');
-  if (!params.amount) throw new Error('amount is required');
-  if (!params.to) throw new Error('to is required');
+
+  const token = resolveToken(params);
+  const amount = resolveAmount(params);
+  const to = resolveVaultAddress(params);
 
   // Build the optimal extra and content
   const { extra, content } = buildOptimalExtraAndContent({
     chainId: params.chainId,
     l2Address: params.l2Address,
     signatureRS: params.signatureRS,
-    token: params.token,
-    amount: params.amount,
-    to: params.to,
+    token,
+    amount,
+    to,
   });
 
   // Build envelope suffix
-  const envelopeSuffix = buildEnvelopeSuffix(extra, content);
+  const envelopeSuffix = buildEnvelopeSuffix(extra, content, { maxPushSize: params.maxPushSize });
 
   // Build final redeem script
-  const redeemScript = buildSingleSigRedeem(params.publicKey, envelopeSuffix);
+  const redeemScript = params.multisig
+    ? buildMultisigRedeem(params.multisig, envelopeSuffix)
+    : buildSingleSigRedeem(params.publicKey, envelopeSuffix);
 
   return redeemScript;
 }
 
 // Export for Node.js/CommonJS
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { generateBridgeScript };
+  module.exports = { generateBridgeScript, bytesToHex, hexToBytes, MAINNET_VAULT_ADDRESS };
 }
 
 // Export for browser/ES modules
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateBridgeScript } = require('./generate-script.js');
+const { parseBridgeScript } = require('./envelope-decoder.js');
+const { NETWORKS } = require('./networks.js');
+
+const VAULT = NETWORKS.mainnet.vaultAddress;
+const OTHER = 'kaspa:qppyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyyl93f3r9r';
+const BASE = {
+  publicKey: new Uint8Array(32).fill(1),
+  chainId: 202555,
+  l2Address: '0x' + '00'.repeat(19) + 'aa',
+  signatureRS: '0x' + '11'.repeat(64),
+};
+const PAIR = { l1_symbol: 'NACHO', l1_decimals: 2, l2_decimals: 18, maxSupply: '1000000000000000000000' };
+
+const content = (params) => parseBridgeScript(generateBridgeScript({ ...BASE, ...params })).content;
+
+test('amountDecimal uses 8 decimals unless decimals or a token pair say otherwise', () => {
+  const token = { mode: 'mint', tick: 'NACHO' };
+  assert.equal(content({ token, amountDecimal: '1.5' }).amt, '150000000');
+  assert.equal(content({ token, amountDecimal: '1.5', decimals: 3 }).amt, '1500');
+  assert.equal(content({ tokenPair: PAIR, amountDecimal: '1.5' }).amt, '150');
+  assert.equal(content({ token, amount: 150000000n }).amt, '150000000');
+  assert.throws(() => content({ tokenPair: PAIR, amountDecimal: '1.505' }), /amount "1.505" has more than 2 decimal places/);
+});
+
+test('amount and amountDecimal are exclusive and one is required', () => {
+  const token = { mode: 'mint', tick: 'NACHO' };
+  assert.throws(() => content({ token, amount: 1n, amountDecimal: '1' }), /pass either amount or amountDecimal, not both/);
+  assert.throws(() => content({ token }), /amount or amountDecimal is required/);
+  assert.throws(() => content({ token, amount: 0n }), /amount must be greater than zero/);
+});
+
+test('a raw amount with a token pair must fit its maxSupply', () => {
+  assert.equal(content({ tokenPair: PAIR, amount: 100000n }).amt, '100000');
+  assert.throws(() => content({ tokenPair: PAIR, amount: 100001n }), /exceeds the token's maxSupply/);
+});
+
+test('the token comes from the token pair and must match it when both are given', () => {
+  assert.equal(content({ tokenPair: PAIR, amount: 1n }).tick, 'NACHO');
+  assert.equal(content({ tokenPair: PAIR, token: { mode: 'mint', tick: 'nacho' }, amount: 1n }).tick, 'nacho');
+  assert.throws(() => content({ tokenPair: PAIR, token: { mode: 'mint', tick: 'KASPY' }, amount: 1n }), /token KASPY does not match the supplied token pair/);
+  assert.throws(() => content({ amount: 1n }), /token is required/);
+});
+
+test('to defaults to the network vault; vaultAddress is an alias that must agree', () => {
+  const token = { mode: 'mint', tick: 'NACHO' };
+  assert.equal(content({ token, amount: 1n }).to, VAULT);
+  assert.equal(content({ token, amount: 1n, network: 'mainnet' }).to, VAULT);
+  assert.equal(content({ token, amount: 1n, vaultAddress: OTHER }).to, OTHER);
+  assert.equal(content({ token, amount: 1n, to: OTHER, vaultAddress: OTHER }).to, OTHER);
+  assert.throws(() => content({ token, amount: 1n, to: VAULT, vaultAddress: OTHER }), /to and vaultAddress must match when both are given/);
+  assert.throws(() => content({ token, amount: 1n, network: 'testnet' }), /network "testnet" has no vaultAddress configured; set KAT_BRIDGE_VAULT_ADDRESS/);
+});
@@ -0,0 +1,115 @@
+// === Kaspa Address Validation ===
+// Pure JavaScript check of Kaspa's cashaddr-style addresses:
+//   <prefix>:<base32(version byte + payload) + 8-char checksum>
+// The 40-bit checksum covers the prefix, so an address for the wrong network
+// (or with a single-character typo) never validates.
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+const NETWORK_PREFIXES = {
+  kaspa: 'mainnet',
+  kaspatest: 'testnet',
+  kaspadev: 'devnet',
+  kaspasim: 'simnet',
+};
+
+// Version byte → address type and payload length
+const ADDRESS_VERSIONS = {
+  0: { type: 'PubKey', length: 32 },
+  1: { type: 'PubKeyECDSA', length: 33 },
+  8: { type: 'ScriptHash', length: 32 },
+};
+
+// === Checksum ===
+const GENERATORS = [0x98f2bc8e61n, 0x79b76d99e2n, 0xf33e5fb3c4n, 0xae2eabe2a8n, 0x1e4f43e470n];
+
+function polymod(values) {
+  let c = 1n;
+  for (const value of values) {
+    const c0 = c >> 35n;
+    c = ((c & 0x07ffffffffn) << 5n) ^ BigInt(value);
+    for (let i = 0; i < GENERATORS.length; i++) {
+      if ((c0 >> BigInt(i)) & 1n) c ^= GENERATORS[i];
+    }
+  }
+  return c ^ 1n;
+}
+
+function checksum(prefix, payload5) {
+  const prefix5 = Array.from(prefix, (ch) => ch.charCodeAt(0) & 0x1f);
+  return polymod([...prefix5, 0, ...payload5, 0, 0, 0, 0, 0, 0, 0, 0]);
+}
+
+// 5-bit groups → bytes; trailing padding bits must be zero
+function fromWords(words) {
+  const bytes = [];
+  let acc = 0;
+  let bits = 0;
+  for (const word of words) {
+    acc = (acc << 5) | word;
+    bits += 5;
+    while (bits >= 8) {
+      bits -= 8;
+      bytes.push((acc >> bits) & 0xff);
+    }
+    acc &= (1 << bits) - 1;
+  }
+  if (bits >= 5 || acc !== 0) return null;
+  return Uint8Array.from(bytes);
+}
+
+// === Main Functions ===
+// `network` (optional): 'mainnet' | 'testnet' | 'devnet' | 'simnet', or a raw prefix
+function validateKaspaAddress(address, { network } = {}) {
+  const fail = (error) => ({ valid: false, error });
+
+  if (typeof address !== 'string' || address.length === 0) return fail('address must be a non-empty string');
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) return fail('address must not mix upper and lower case');
+
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf(':');
+  if (separator === -1) return fail('address is missing the network prefix (e.g. "kaspa:")');
+
+  const prefix = lower.slice(0, separator);
+  const data = lower.slice(separator + 1);
+  const addressNetwork = NETWORK_PREFIXES[prefix];
+  if (!addressNetwork) return fail(`unknown network prefix "${prefix}"`);
+  if (network && network !== addressNetwork && network !== prefix) {
+    return fail(`address is for ${addressNetwork}, expected ${network}`);
+  }
+
+  const words = [];
+  for (const ch of data) {
+    const word = CHARSET.indexOf(ch);
+    if (word === -1) return fail(`invalid character "${ch}" in address`);
+    words.push(word);
+  }
+  if (words.length <= 8) return fail('address is too short');
+
+  const payload5 = words.slice(0, -8);
+  const expected = checksum(prefix, payload5);
+  const actual = words.slice(-8).reduce((acc, word) => (acc << 5n) | BigInt(word), 0n);
+  if (expected !== actual) return fail('invalid checksum');
+
+  const bytes = fromWords(payload5);
+  if (!bytes || bytes.length === 0) return fail('invalid payload padding');
+
+  const version = bytes[0];
+  const payload = bytes.slice(1);
+  const spec = ADDRESS_VERSIONS[version];
+  if (!spec) return fail(`unknown address version ${version}`);
+  if (payload.length !== spec.length) {
+    return fail(`${spec.type} address payload must be ${spec.length} bytes, got ${payload.length}`);
+  }
+
+  return { valid: true, prefix, network: addressNetwork, version, type: spec.type, payload };
+}
+
+function assertKaspaAddress(address, options) {
+  const result = validateKaspaAddress(address, options);
+  if (!result.valid) throw new Error(`invalid Kaspa address "${address}": ${result.error}`);
+  return result;
+}
+
+// Export for Node.js/CommonJS
+module.exports = { validateKaspaAddress, assertKaspaAddress, NETWORK_PREFIXES };
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateKaspaAddress, assertKaspaAddress } = require('./kaspa-address.js');
+
+const VAULT = 'kaspa:qrf5mw2ru0av3dgfmkhvh0hets8k84wxcaqqr3jv9wdf6st44h0cxql4syxt8';
+const PUBKEY = 'kaspa:qppyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyyl93f3r9r';
+const ECDSA = 'kaspa:qypy2329g4z52329g4z52329g4z52329g4z52329g4z52329g4z523g0exdwfw9';
+const SCRIPT_HASH = 'kaspa:ppp5xs6rgdp5xs6rgdp5xs6rgdp5xs6rgdp5xs6rgdp5xs6rgdp5xuej58y9u';
+const TESTNET = 'kaspatest:qpzyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygmtmcxuzq';
+
+const error = (address, options) => validateKaspaAddress(address, options).error;
+
+test('decodes the version and payload of each address type', () => {
+  const pubkey = validateKaspaAddress(PUBKEY);
+  assert.equal(pubkey.valid, true);
+  assert.equal(pubkey.type, 'PubKey');
+  assert.deepEqual([...pubkey.payload], new Array(32).fill(0x42));
+
+  const ecdsa = validateKaspaAddress(ECDSA);
+  assert.equal(ecdsa.type, 'PubKeyECDSA');
+  assert.equal(ecdsa.payload.length, 33);
+  assert.equal(validateKaspaAddress(SCRIPT_HASH).type, 'ScriptHash');
+  assert.equal(validateKaspaAddress(VAULT).valid, true);
+});
+
+test('rejects a single changed character through the checksum', () => {
+  assert.equal(error(VAULT.slice(0, -1) + '9'), 'invalid checksum');
+  assert.equal(error(PUBKEY.replace('qppyysjz', 'qppyysjp')), 'invalid checksum');
+});
+
+test('the checksum covers the prefix', () => {
+  assert.equal(error(PUBKEY.replace('kaspa:', 'kaspatest:')), 'invalid checksum');
+});
+
+test('checks the network of the prefix', () => {
+  const testnet = validateKaspaAddress(TESTNET);
+  assert.equal(testnet.network, 'testnet');
+  assert.equal(validateKaspaAddress(TESTNET, { network: 'kaspatest' }).valid, true);
+  assert.equal(error(TESTNET, { network: 'mainnet' }), 'address is for testnet, expected mainnet');
+  assert.match(error('bitcoincash:qppyysjz'), /unknown network prefix "bitcoincash"/);
+});
+
+test('accepts all-uppercase addresses but not mixed case', () => {
+  assert.equal(validateKaspaAddress(PUBKEY.toUpperCase()).valid, true);
+  assert.equal(error(PUBKEY.replace('qpp', 'Qpp')), 'address must not mix upper and lower case');
+});
+
+test('rejects malformed input', () => {
+  assert.equal(error(''), 'address must be a non-empty string');
+  assert.match(error(PUBKEY.slice('kaspa:'.length)), /missing the network prefix/);
+  assert.equal(error('kaspa:qpzry9x8'), 'address is too short');
+  assert.equal(error('kaspa:qpzbry9x8gf2'), 'invalid character "b" in address');
+  // Valid checksums over a short payload and an unknown version byte
+  assert.equal(error('kaspa:qpryv3jxgeryv3jxgeryv3jxgeryv3jxgeryv3jxgeryv3jxgerqwaf8p9rt'), 'PubKey address payload must be 32 bytes, got 31');
+  assert.equal(error('kaspa:q4r5w368gar5w368gar5w368gar5w368gar5w368gar5w368gar5w0zhyeqeh'), 'unknown address version 5');
+});
+
+test('assertKaspaAddress throws with the reason', () => {
+  assert.equal(assertKaspaAddress(PUBKEY).type, 'PubKey');
+  assert.throws(() => assertKaspaAddress(VAULT.slice(0, -1) + '9'), /invalid Kaspa address ".*": invalid checksum/);
+});
@@ -0,0 +1,59 @@
+// === KRC-20 Token Identifiers ===
+// KRC-20 tokens are referenced in two ways:
+// - mint mode:  by ticker,            { mode: 'mint', tick: 'NACHO' }
+// - issue mode: by contract address,  { mode: 'issue', ca: '<deploy txid>' }
+// The `ca` of an issue-mode token is the 32-byte id of its deploy transaction
+// (64 hex chars). Either case is accepted; it is always written lower-case.
+
+const CA_PATTERN = /^[0-9a-f]{64}$/i;
+
+function isValidCa(ca) {
+  return typeof ca === 'string' && CA_PATTERN.test(ca);
+}
+
+// Lower-case `ca`, or null if it is not one
+function normalizeCa(ca) {
+  return isValidCa(ca) ? ca.toLowerCase() : null;
+}
+
+function validateKrc20Token(token) {
+  if (!token || typeof token !== 'object') throw new Error('token is required');
+  const mode = token.mode || 'mint';
+
+  if (mode === 'mint') {
+    if (typeof token.tick !== 'string' || token.tick.length === 0) throw new Error('token.tick is required for mint-mode tokens');
+    return { mode, tick: token.tick };
+  }
+  if (mode === 'issue') {
+    if (!isValidCa(token.ca)) {
+      throw new Error(`token.ca must be the 64-character hex id of the deploy transaction, got "${token.ca}"`);
+    }
+    return { mode, ca: normalizeCa(token.ca) };
+  }
+  throw new Error(`unknown token mode "${mode}" (expected "mint" or "issue")`);
+}
+
+// Token identifier from a decoded CONTENT lane
+function tokenFromContent(content) {
+  if (content.ca !== undefined) return { mode: 'issue', ca: content.ca };
+  if (content.tick !== undefined) return { mode: 'mint', tick: content.tick };
+  return null;
+}
+
+// Token identifier from a token-pair record. The token-pair API only has
+// `l1_symbol`: the ticker of a mint-mode token, or the ca of an issue-mode one.
+function tokenFromPair(tokenPair) {
+  const ca = normalizeCa(tokenPair.l1_symbol);
+  if (ca) return { mode: 'issue', ca };
+  return { mode: 'mint', tick: tokenPair.l1_symbol };
+}
+
+function tokenPairMatches(tokenPair, token) {
+  const pairToken = tokenFromPair(tokenPair);
+  if (pairToken.mode !== (token.mode || 'mint')) return false;
+  if (pairToken.mode === 'issue') return pairToken.ca === normalizeCa(token.ca);
+  return pairToken.tick.toLowerCase() === String(token.tick).toLowerCase();
+}
+
+// Export for Node.js/CommonJS
+module.exports = { isValidCa, normalizeCa, validateKrc20Token, tokenFromContent, tokenFromPair, tokenPairMatches };
@@ -0,0 +1,117 @@
+// === Multisig Reveal Signature Scripts ===
+// A redeem script generated with `multisig` starts with an M-of-N owner check:
+//
+//   OP_<m> <pubkey>... OP_<n> OP_CHECKMULTISIG[ECDSA] OP_FALSE OP_IF "kasplex" ...
+//
+// Spending its P2SH output takes <signature>... <redeem script>, with exactly m
+// signatures in the same order as their keys (Kaspa's CHECKMULTISIG has no
+// dummy element). Each cosigner signs the reveal input on their own machine
+// and hands over a partial signature { publicKey, signature }; this module
+// checks those against the redeem script and assembles the signature script.
+
+const { bytesToHex, hexToBytes } = require('./generate-script.js');
+const { parseBridgeScript } = require('./envelope-decoder.js');
+const { ScriptBuilder } = require('./script-builder.js');
+
+// 64-byte Schnorr/ECDSA signature followed by the sighash type byte
+const SIGNATURE_LENGTH = 65;
+
+// === Utility Functions ===
+function toBytes(value) {
+  return typeof value === 'string' ? hexToBytes(value) : Uint8Array.from(value);
+}
+
+// Keys are compared as they appear in the script: x-only for Schnorr,
+// 33-byte compressed for ECDSA
+function normalizeKey(publicKey, ecdsa) {
+  const bytes = toBytes(publicKey);
+  if (!ecdsa && bytes.length === 33) return bytesToHex(bytes.slice(1));
+  return bytesToHex(bytes);
+}
+
+// === Main Functions ===
+// The M-of-N owner of a redeem script: { required, publicKeys, ecdsa }
+function multisigOwner(redeemScript) {
+  const { multisig } = parseBridgeScript(redeemScript);
+  if (!multisig) throw new Error('redeem script is not owned by a multisig');
+  return multisig;
+}
+
+// Signature operations the reveal's P2SH input must declare: OP_CHECKMULTISIG
+// counts one per key, OP_CHECKSIG one
+function revealSigOpCount(redeemScript) {
+  const { multisig } = parseBridgeScript(redeemScript);
+  return multisig ? multisig.publicKeys.length : 1;
+}
+
+// The script key a cosigner signs for, checked against the redeem script.
+// Only Schnorr owners: the Kaspa WASM SDK cannot make ECDSA input signatures,
+// so ECDSA cosigners sign with their own tooling and hand over the result.
+function cosignerKey(redeemScript, publicKey) {
+  const { publicKeys, ecdsa } = multisigOwner(redeemScript);
+  if (ecdsa) throw new Error('ECDSA multisig partial signatures cannot be created here; cosigners must sign the input with their own ECDSA tooling');
+  const key = normalizeKey(publicKey, false);
+  if (!publicKeys.includes(key)) throw new Error(`${key} is not a key of this multisig`);
+  return key;
+}
+
+// <signature>... <redeem script> from the partial signatures collected so far.
+// Signatures from keys outside the script are rejected; when more than m
+// cosigners signed, the first m in key order are used.
+function buildMultisigSignatureScript({ redeemScript, partialSignatures }) {
+  const redeem = toBytes(redeemScript);
+  const { required, publicKeys, ecdsa } = multisigOwner(redeem);
+
+  const byKey = new Map();
+  for (const { publicKey, signature } of partialSignatures || []) {
+    const key = normalizeKey(publicKey, ecdsa);
+    if (!publicKeys.includes(key)) throw new Error(`partial signature from ${key}, which is not a key of this multisig`);
+    const bytes = toBytes(signature);
+    if (bytes.length !== SIGNATURE_LENGTH) {
+      throw new Error(`signature from ${key} must be ${SIGNATURE_LENGTH} bytes (signature + sighash type), got ${bytes.length}`);
+    }
+    byKey.set(key, bytes);
+  }
+
+  const signatures = publicKeys.filter((key) => byKey.has(key)).map((key) => byKey.get(key));
+  if (signatures.length < required) {
+    throw new Error(`multisig needs ${required} of ${publicKeys.length} signatures, got ${signatures.length}`);
+  }
+
+  const script = new ScriptBuilder();
+  signatures.slice(0, required).forEach((signature) => script.addData(signature));
+  return script.addData(redeem).build();
+}
+
+// Export for Node.js/CommonJS
+module.exports = { multisigOwner, revealSigOpCount, cosignerKey, buildMultisigSignatureScript };
+
+// Run example if this file is executed directly
+if (require.main === module) {
+  const { generateBridgeScript } = require('./generate-script.js');
+  const { disassembleScript, formatDisassembly } = require('./script-disassembler.js');
+
+  // 2-of-3 treasury keys (x-only); signatures are placeholders
+  const publicKeys = [
+    '1e83853961a3063e79473d1428535e5c908bf28c1ff866ab6b595c4a2c8e0f60',
+    '9f2c5a0b1e4d7c3a6b8e1f2d4c6a8b0e2f4d6c8a0b2e4f6d8c0a2b4e6f8d0c2a',
+    'c4d6e8f0a2b4c6d8e0f2a4b6c8d0e2f4a6b8c0d2e4f6a8b0c2d4e6f8a0b2c4d6',
+  ];
+  const redeemScript = generateBridgeScript({
+    multisig: { publicKeys, required: 2 },
+    chainId: 202555,
+    l2Address: '0x00000000000000000000000000000000000000aa',
+    signatureRS: '0x' + '11'.repeat(64),
+    token: { mode: 'mint', tick: 'NACHO' },
+    amount: 100000000n,
+  });
+
+  const signatureScript = buildMultisigSignatureScript({
+    redeemScript,
+    partialSignatures: [
+      { publicKey: publicKeys[2], signature: 'cc'.repeat(64) + '01' },
+      { publicKey: publicKeys[0], signature: 'aa'.repeat(64) + '01' },
+    ],
+  });
+  console.log(formatDisassembly(disassembleScript(signatureScript)));
+}
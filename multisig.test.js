@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateBridgeScript, bytesToHex } = require('./generate-script.js');
+const { parseBridgeScript } = require('./envelope-decoder.js');
+const { buildMultisigSignatureScript, cosignerKey, revealSigOpCount, multisigOwner } = require('./multisig.js');
+
+const KEYS = ['11', '22', '33'].map((byte) => byte.repeat(32));
+const ECDSA_KEYS = ['02' + '44'.repeat(32), '03' + '55'.repeat(32), '02' + '66'.repeat(32)];
+const BASE = {
+  chainId: 202555,
+  l2Address: '0x' + '00'.repeat(19) + 'aa',
+  signatureRS: '0x' + '11'.repeat(64),
+  token: { mode: 'mint', tick: 'NACHO' },
+  amount: 100000000n,
+};
+
+const schnorrRedeem = generateBridgeScript({ ...BASE, multisig: { publicKeys: KEYS, required: 2 } });
+const ecdsaRedeem = generateBridgeScript({ ...BASE, multisig: { publicKeys: ECDSA_KEYS, required: 2, ecdsa: true } });
+const singleRedeem = generateBridgeScript({ ...BASE, publicKey: Uint8Array.from(Buffer.from(KEYS[0], 'hex')) });
+
+// Distinct placeholder signature per key: 64 bytes + SIGHASH_ALL
+const signatureFor = (index) => String(index + 1).padStart(2, '0').repeat(64) + '01';
+
+test('orders signatures by key, not by arrival', () => {
+  const script = buildMultisigSignatureScript({
+    redeemScript: schnorrRedeem,
+    partialSignatures: [
+      { publicKey: KEYS[2], signature: signatureFor(2) },
+      { publicKey: KEYS[0], signature: signatureFor(0) },
+    ],
+  });
+  const decoded = parseBridgeScript(script);
+  assert.deepEqual(decoded.signatures, ['0x' + signatureFor(0), '0x' + signatureFor(2)]);
+  assert.deepEqual(decoded.redeemScript, schnorrRedeem);
+});
+
+test('uses the first m signatures in key order when more than m cosigners signed', () => {
+  const script = buildMultisigSignatureScript({
+    redeemScript: schnorrRedeem,
+    partialSignatures: [2, 1, 0].map((i) => ({ publicKey: KEYS[i], signature: signatureFor(i) })),
+  });
+  assert.deepEqual(parseBridgeScript(script).signatures, ['0x' + signatureFor(0), '0x' + signatureFor(1)]);
+});
+
+test('accepts 33-byte compressed keys for Schnorr cosigners', () => {
+  const script = buildMultisigSignatureScript({
+    redeemScript: bytesToHex(schnorrRedeem),
+    partialSignatures: [0, 1].map((i) => ({ publicKey: '03' + KEYS[i], signature: signatureFor(i) })),
+  });
+  assert.equal(parseBridgeScript(script).signatures.length, 2);
+});
+
+test('rejects signatures from keys outside the script', () => {
+  assert.throws(
+    () => buildMultisigSignatureScript({
+      redeemScript: schnorrRedeem,
+      partialSignatures: [{ publicKey: '77'.repeat(32), signature: signatureFor(0) }, { publicKey: KEYS[0], signature: signatureFor(0) }],
+    }),
+    /not a key of this multisig/
+  );
+});
+
+test('rejects fewer than m signatures', () => {
+  assert.throws(
+    () => buildMultisigSignatureScript({ redeemScript: schnorrRedeem, partialSignatures: [{ publicKey: KEYS[1], signature: signatureFor(1) }] }),
+    /needs 2 of 3 signatures, got 1/
+  );
+  // A cosigner signing twice still counts once
+  assert.throws(
+    () => buildMultisigSignatureScript({
+      redeemScript: schnorrRedeem,
+      partialSignatures: [{ publicKey: KEYS[1], signature: signatureFor(1) }, { publicKey: '02' + KEYS[1], signature: signatureFor(1) }],
+    }),
+    /got 1/
+  );
+});
+
+test('rejects signatures without the sighash type byte', () => {
+  assert.throws(
+    () => buildMultisigSignatureScript({
+      redeemScript: schnorrRedeem,
+      partialSignatures: [{ publicKey: KEYS[0], signature: signatureFor(0).slice(0, 128) }, { publicKey: KEYS[1], signature: signatureFor(1) }],
+    }),
+    /must be 65 bytes .* got 64/
+  );
+});
+
+test('ECDSA owners match the full 33-byte key', () => {
+  const script = buildMultisigSignatureScript({
+    redeemScript: ecdsaRedeem,
+    partialSignatures: [
+      { publicKey: ECDSA_KEYS[2], signature: signatureFor(2) },
+      { publicKey: ECDSA_KEYS[1], signature: signatureFor(1) },
+    ],
+  });
+  const decoded = parseBridgeScript(script);
+  assert.equal(decoded.multisig.ecdsa, true);
+  assert.deepEqual(decoded.signatures, ['0x' + signatureFor(1), '0x' + signatureFor(2)]);
+
+  // The same point with the other parity prefix is a different ECDSA key
+  const flipped = '03' + ECDSA_KEYS[0].slice(2);
+  assert.throws(
+    () => buildMultisigSignatureScript({ redeemScript: ecdsaRedeem, partialSignatures: [{ publicKey: flipped, signature: signatureFor(0) }] }),
+    /not a key of this multisig/
+  );
+});
+
+test('cosignerKey accepts Schnorr cosigners and rejects ECDSA owners and strangers', () => {
+  assert.equal(cosignerKey(schnorrRedeem, '02' + KEYS[1]), '0x' + KEYS[1]);
+  assert.throws(() => cosignerKey(schnorrRedeem, '77'.repeat(32)), /not a key of this multisig/);
+  assert.throws(() => cosignerKey(ecdsaRedeem, ECDSA_KEYS[0]), /ECDSA/);
+  assert.throws(() => cosignerKey(singleRedeem, KEYS[0]), /not owned by a multisig/);
+});
+
+test('revealSigOpCount counts one sig-op per multisig key', () => {
+  assert.equal(revealSigOpCount(schnorrRedeem), 3);
+  assert.equal(revealSigOpCount(ecdsaRedeem), 3);
+  assert.equal(revealSigOpCount(singleRedeem), 1);
+});
+
+test('multisigOwner reads the owner in script order', () => {
+  assert.deepEqual(multisigOwner(schnorrRedeem), { required: 2, publicKeys: KEYS.map((key) => '0x' + key), ecdsa: false });
+});
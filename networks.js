@@ -0,0 +1,104 @@
+// === Kaspa Bridge Network Profiles ===
+// One profile per deployment, shared by the L1 and L2 modules:
+// - mainnet: Kaspa mainnet + Kasplex L2 mainnet (the production bridge)
+// - testnet: Kaspa testnet-10 + Kasplex L2 testnet
+// - local:   Kaspa simnet + an anvil node, for development
+//
+// The profile is picked by name, or by the KAT_BRIDGE_NETWORK environment
+// variable when no name is given (default: mainnet). Values a deployment does
+// not publish are null; supply them through the environment overrides below.
+
+const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    kaspaNetwork: 'mainnet', // Kaspa network id (RpcClient / wasm networkId)
+    kaspaPrefix: 'kaspa',
+    kaspaRpcUrl: null, // null: use the public resolver
+    vaultAddress: 'kaspa:qrf5mw2ru0av3dgfmkhvh0hets8k84wxcaqqr3jv9wdf6st44h0cxql4syxt8',
+    feeAddress: 'kaspa:qypca63358auyh2hxdvnxmjleu7snzytrkgwt46a3tr6k2l8xcpvelqhygnprgs',
+    bridgeContract: '0x699e7f4a64f6A5a1d7E26B05806d948338E7aDC2',
+    chainId: 202555,
+    rpcUrl: 'https://evmrpc.kasplex.org/',
+    explorerUrl: 'https://explorer.kasplex.org',
+    bridgeIdHash: '0x1c5cf638141e1db790250efebf1a3ef4abf0123e93339d69bf6e201df2624cc9',
+    apiUrl: 'https://api.katbridge.com',
+    indexerUrl: 'https://api.kasplex.org/v1',
+  },
+  testnet: {
+    name: 'testnet',
+    kaspaNetwork: 'testnet-10',
+    kaspaPrefix: 'kaspatest',
+    kaspaRpcUrl: null,
+    vaultAddress: null,
+    feeAddress: null,
+    bridgeContract: null,
+    chainId: 167012,
+    rpcUrl: 'https://rpc.kasplextest.xyz',
+    explorerUrl: 'https://explorer.testnet.kasplextest.xyz',
+    bridgeIdHash: null,
+    apiUrl: null,
+    indexerUrl: 'https://tn10api.kasplex.org/v1',
+  },
+  local: {
+    name: 'local',
+    kaspaNetwork: 'simnet',
+    kaspaPrefix: 'kaspasim',
+    kaspaRpcUrl: 'ws://127.0.0.1:17610', // kaspad --simnet wRPC (Borsh)
+    vaultAddress: null,
+    feeAddress: null,
+    bridgeContract: null,
+    chainId: 31337, // anvil default
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    bridgeIdHash: null,
+    apiUrl: null,
+    indexerUrl: null,
+  },
+};
+
+// Environment variables that override a profile field
+const ENV_OVERRIDES = {
+  KAT_BRIDGE_VAULT_ADDRESS: 'vaultAddress',
+  KAT_BRIDGE_FEE_ADDRESS: 'feeAddress',
+  KAT_BRIDGE_CONTRACT: 'bridgeContract',
+  KAT_BRIDGE_CHAIN_ID: 'chainId',
+  KAT_BRIDGE_L2_RPC_URL: 'rpcUrl',
+  KAT_BRIDGE_KASPA_RPC_URL: 'kaspaRpcUrl',
+  KAT_BRIDGE_ID_HASH: 'bridgeIdHash',
+  KAT_BRIDGE_API_URL: 'apiUrl',
+  KAT_BRIDGE_INDEXER_URL: 'indexerUrl',
+};
+
+const DEFAULT_NETWORK = 'mainnet';
+
+// Resolve a profile by name (or Kaspa network id, e.g. 'testnet-10'); an
+// already-resolved profile is returned as is. Environment overrides apply
+// to every profile.
+function getNetwork(network, { env = process.env } = {}) {
+  if (network && typeof network === 'object') return network;
+
+  const name = network || env.KAT_BRIDGE_NETWORK || DEFAULT_NETWORK;
+  const base = NETWORKS[name] || Object.values(NETWORKS).find((profile) => profile.kaspaNetwork === name);
+  if (!base) throw new Error(`unknown network "${name}" (expected ${Object.keys(NETWORKS).join(', ')})`);
+
+  const profile = { ...base };
+  for (const [variable, field] of Object.entries(ENV_OVERRIDES)) {
+    if (env[variable] === undefined || env[variable] === '') continue;
+    profile[field] = field === 'chainId' ? Number(env[variable]) : env[variable];
+  }
+  if (!Number.isSafeInteger(profile.chainId)) throw new Error(`network "${profile.name}" has an invalid chainId`);
+  return Object.freeze(profile);
+}
+
+// Read a field that must be set, e.g. the bridge contract on a local devnet
+function requireNetworkValue(profile, field) {
+  const value = profile[field];
+  if (value === null || value === undefined) {
+    const variable = Object.keys(ENV_OVERRIDES).find((key) => ENV_OVERRIDES[key] === field);
+    throw new Error(`network "${profile.name}" has no ${field} configured${variable ? `; set ${variable}` : ''}`);
+  }
+  return value;
+}
+
+// Export for Node.js/CommonJS
+module.exports = { getNetwork, requireNetworkValue, NETWORKS, ENV_OVERRIDES, DEFAULT_NETWORK };
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getNetwork, requireNetworkValue, NETWORKS } = require('./networks.js');
+
+test('looks profiles up by name or Kaspa network id', () => {
+  const env = {};
+  assert.equal(getNetwork('testnet', { env }).chainId, 167012);
+  assert.equal(getNetwork('testnet-10', { env }).name, 'testnet');
+  assert.equal(getNetwork('simnet', { env }).name, 'local');
+  assert.throws(() => getNetwork('devnet', { env }), /unknown network "devnet" \(expected mainnet, testnet, local\)/);
+});
+
+test('KAT_BRIDGE_NETWORK picks the profile when no name is given', () => {
+  assert.equal(getNetwork(undefined, { env: {} }).name, 'mainnet');
+  assert.equal(getNetwork(undefined, { env: { KAT_BRIDGE_NETWORK: 'local' } }).name, 'local');
+  assert.equal(getNetwork(undefined, { env: { KAT_BRIDGE_NETWORK: 'testnet-10' } }).name, 'testnet');
+  assert.equal(getNetwork('mainnet', { env: { KAT_BRIDGE_NETWORK: 'local' } }).name, 'mainnet');
+});
+
+test('KAT_BRIDGE_* variables override profile fields', () => {
+  const env = {
+    KAT_BRIDGE_CONTRACT: '0x' + '11'.repeat(20),
+    KAT_BRIDGE_CHAIN_ID: '4242',
+    KAT_BRIDGE_VAULT_ADDRESS: 'kaspasim:vault',
+    KAT_BRIDGE_L2_RPC_URL: '',
+  };
+  const local = getNetwork('local', { env });
+  assert.equal(local.bridgeContract, '0x' + '11'.repeat(20));
+  assert.equal(local.chainId, 4242);
+  assert.equal(local.vaultAddress, 'kaspasim:vault');
+  assert.equal(local.rpcUrl, NETWORKS.local.rpcUrl);
+  assert.ok(Object.isFrozen(local));
+  assert.equal(NETWORKS.local.bridgeContract, null);
+
+  assert.throws(() => getNetwork('local', { env: { KAT_BRIDGE_CHAIN_ID: 'anvil' } }), /network "local" has an invalid chainId/);
+});
+
+test('a resolved profile is passed through unchanged', () => {
+  const profile = getNetwork('testnet', { env: {} });
+  assert.equal(getNetwork(profile, { env: { KAT_BRIDGE_CHAIN_ID: '1' } }), profile);
+});
+
+test('requireNetworkValue names the variable for values testnet does not publish', () => {
+  const testnet = getNetwork('testnet', { env: {} });
+  assert.throws(() => requireNetworkValue(testnet, 'vaultAddress'), /^Error: network "testnet" has no vaultAddress configured; set KAT_BRIDGE_VAULT_ADDRESS$/);
+  assert.throws(() => requireNetworkValue(testnet, 'bridgeIdHash'), /set KAT_BRIDGE_ID_HASH$/);
+  assert.throws(() => requireNetworkValue(getNetwork('local', { env: {} }), 'explorerUrl'), /^Error: network "local" has no explorerUrl configured$/);
+  assert.equal(requireNetworkValue(getNetwork('testnet', { env: { KAT_BRIDGE_FEE_ADDRESS: 'kaspatest:fee' } }), 'feeAddress'), 'kaspatest:fee');
+  assert.equal(requireNetworkValue(getNetwork('mainnet', { env: {} }), 'bridgeContract'), NETWORKS.mainnet.bridgeContract);
+});
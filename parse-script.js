@@ -5,24 +5,34 @@
  * AND the KRC-20 transfer data (CONTENT lane) from a signature script.
  * 
  * Features:
- * - Automatically decodes CBOR-encoded OptimalBridgeBlob
+ * - Automatically decodes CBOR-encoded OptimalBridgeBlob in-process (cbor-x or
+ *   cbor-js encodings, any map header), without spawning a subprocess
  * - Extracts L2 chain ID, address, and signature
  * - Parses KRC-20 transfer JSON
  * - Handles OP_PUSHDATA1 variable-length encoding
+ * - Prints an opcode listing with byte offsets first, so malformed scripts can
+ *   still be inspected
  * 
- * Usage: node scripts/parse-script-direct.js --script <hex>
+ * Usage: node parse-script.js --script <hex>
  */
 
-import minimist from 'minimist';
-import CBOR from 'cbor-js';
+const { parseArgs } = require('node:util');
+const { decode: cborDecode } = require('./cbor.js');
+const { disassembleScript, formatDisassembly } = require('./script-disassembler.js');
 
 // Parse command-line arguments
-const args = minimist(process.argv.slice(2));
+const { values: args } = parseArgs({ options: { script: { type: 'string' } }, strict: false });
 const scriptHex = args.script;
 
+// Any definite-length CBOR map header: 0xa0-0xb7 (cbor-js, up to 23 entries)
+// through 0xb8-0xbb (1-8 byte counts; cbor-x writes 0xb9 for objects)
+function isCborMapHeader(byte) {
+  return byte >= 0xa0 && byte <= 0xbb;
+}
+
 if (!scriptHex) {
   console.error("Please provide signature script hex using --script flag");
-  console.error("Example: node parse-script-direct.js --script 4115a7a3138fddd461c81939a116d1f656cb53e85f8f9ae42a8291357dffacc32ffb54fea504d34a6bc6760f316da092f49e895200c630233c4594fd1583503c014cdf201e8313690dec9b3029ba5b0ad273775accfa7a2bb79a1dd2fe7b86f1b3962ac0063076b6173706c6578511d01a736aa0001000000742d35cc6639c2532a78444b5d4f71c8be6e56780068f");
+  console.error("Example: node parse-script.js --script 4115a7a3138fddd461c81939a116d1f656cb53e85f8f9ae42a8291357dffacc32ffb54fea504d34a6bc6760f316da092f49e895200c630233c4594fd1583503c014cdf201e8313690dec9b3029ba5b0ad273775accfa7a2bb79a1dd2fe7b86f1b3962ac0063076b6173706c6578511d01a736aa0001000000742d35cc6639c2532a78444b5d4f71c8be6e56780068f");
   process.exit(1);
 }
 
@@ -36,6 +46,12 @@ try {
   const scriptBytes = new Uint8Array(scriptHex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
   console.log(`Script bytes length: ${scriptBytes.length} bytes`);
 
+  console.log("");
+  console.log("📜 SCRIPT LISTING:");
+  console.log("==================");
+  console.log(formatDisassembly(disassembleScript(scriptBytes)));
+  console.log("");
+
   // Look for "kasplex" string
   const kasplexBytes = new TextEncoder().encode("kasplex");
   let kasplexPos = -1;
@@ -122,21 +138,18 @@ try {
 
   // Try to parse as CBOR (new optimized format)
   try {
-    // We need cbor-x to decode, but it might not be available in this script context
-    // For now, let's try to manually parse the CBOR or show a helpful message
     const firstByte = extraData[0];
 
     console.log("");
     console.log("🚀 DECODED BRIDGE ROUTING INFO:");
     console.log("===============================");
 
-    if (firstByte === 0xb9) {
-      // This looks like our optimized CBOR format
+    if (isCborMapHeader(firstByte)) {
+      // CBOR map (OptimalBridgeBlob), from either cbor-x or cbor-js
       console.log("📦 Detected optimized CBOR format (OptimalBridgeBlob)");
 
       try {
-        // Try to decode CBOR using cbor-js (direct dependency)
-        const decoded = CBOR.decode(extraData.buffer);
+        const decoded = cborDecode(extraData);
 
         console.log("✅ Successfully decoded CBOR blob:");
         console.log(`Version: ${decoded.v}`);
@@ -157,40 +170,10 @@ try {
         console.log(`🎯 Optimization: Reduced from ~170 bytes to ${extraData.length} bytes`);
 
       } catch (error) {
-        console.log("⚠️  Failed to decode CBOR with cbor-js, trying cbor-x...");
-
-        try {
-          // Fallback to cbor-x if available  
-          const { createRequire } = await import('module');
-          const require = createRequire(import.meta.url);
-          const { execSync } = require('child_process');
-          const result = execSync(`node -e "const {decode} = require('cbor-x'); console.log(JSON.stringify(decode(Buffer.from('${extraHex}', 'hex')), (k,v) => v instanceof Uint8Array ? Array.from(v) : v));"`,
-            { encoding: 'utf8', cwd: '/Users/ashton/Documents/GitHub/krc-bridge' });
-
-          const decoded = JSON.parse(result.trim());
-
-          console.log("✅ Successfully decoded CBOR blob (via cbor-x):");
-          console.log(`Version: ${decoded.v}`);
-          console.log(`L2 Chain ID: ${decoded.c} (${decoded.c === 167012 ? 'Sepolia' : decoded.c === 1 ? 'Mainnet' : 'Unknown'})`);
-
-          if (decoded.l && decoded.l.length === 20) {
-            const l2Address = '0x' + decoded.l.map(b => b.toString(16).padStart(2, '0')).join('');
-            console.log(`L2 Address: ${l2Address}`);
-          }
-
-          if (decoded.s && decoded.s.length === 64) {
-            const sigHex = decoded.s.map(b => b.toString(16).padStart(2, '0')).join('');
-            console.log(`Signature (r+s): 0x${sigHex.slice(0, 16)}...${sigHex.slice(-16)} (64 bytes)`);
-          }
-
-          console.log(`🎯 Optimization: Reduced from ~170 bytes to ${extraData.length} bytes`);
-
-        } catch (fallbackError) {
-          console.log("⚠️  All CBOR decoders failed. Showing structure info:");
-          console.log(`📦 CBOR blob detected (${extraData.length} bytes)`);
-          console.log(`Structure: {v: version, c: chainId, l: l2Address(20 bytes), s: signature(64 bytes)}`);
-          console.log(`Raw hex: ${extraHex}`);
-        }
+        console.log(`⚠️  Failed to decode CBOR (${error.message}). Showing structure info:`);
+        console.log(`📦 CBOR blob detected (${extraData.length} bytes)`);
+        console.log(`Structure: {v: version, c: chainId, l: l2Address(20 bytes), s: signature(64 bytes)}`);
+        console.log(`Raw hex: ${extraHex}`);
       }
     } else {
       // Fallback to old binary format parsing
@@ -270,7 +253,13 @@ try {
           console.log("✅ Parsed KRC-20 Transfer:");
           console.log(`  Protocol: ${parsed.p}`);
           console.log(`  Operation: ${parsed.op}`);
-          console.log(`  Ticker: ${parsed.tick}`);
+          if (parsed.ca !== undefined) {
+            console.log(`  Mode: issue`);
+            console.log(`  Contract (ca): ${parsed.ca}`);
+          } else {
+            console.log(`  Mode: mint`);
+            console.log(`  Ticker: ${parsed.tick}`);
+          }
           console.log(`  Amount: ${parsed.amt} (${(parseInt(parsed.amt) / 100000000).toFixed(8)} tokens)`);
           console.log(`  To: ${parsed.to}`);
         } catch (e) {
@@ -0,0 +1,256 @@
+// === Bridge Script Round-Trip Verification ===
+// Encodes parameters with generateBridgeScript, decodes the result with
+// parseBridgeScript and compares every field that relayers depend on.
+// Running this file directly performs a seeded property check over random
+// valid parameters plus the push-size boundary cases, the script-size limit
+// (one byte over must be rejected), lanes split across several pushes, and
+// multisig-owned scripts. When cbor-x is installed, the EXTRA lane is also compared
+// byte-for-byte with cbor-x output.
+
+const { generateBridgeScript, bytesToHex } = require('./generate-script.js');
+const { parseBridgeScript } = require('./envelope-decoder.js');
+
+// Optional reference encoder for the EXTRA lane (the bridge-ui uses cbor-x)
+let cborX = null;
+try {
+  cborX = require('cbor-x');
+} catch (error) {
+  cborX = null;
+}
+
+// === Field Comparison ===
+function normalizeHex(hex) {
+  return (hex.startsWith('0x') ? hex.slice(2) : hex).toLowerCase();
+}
+
+function xOnly(publicKey) {
+  return publicKey.length === 33 ? publicKey.slice(1) : publicKey;
+}
+
+// Multisig owner as one comparable string
+function ownerKey({ required, publicKeys, ecdsa }) {
+  return `${required}-of-${publicKeys.join(',')}${ecdsa ? ' ecdsa' : ''}`;
+}
+
+function expectedFields(params) {
+  const { multisig } = params;
+  const fields = {
+    xOnlyPublicKey: multisig ? null : bytesToHex(xOnly(params.publicKey)),
+    multisig: multisig
+      ? ownerKey({ ...multisig, publicKeys: multisig.publicKeys.map((key) => bytesToHex(multisig.ecdsa ? key : xOnly(key))) })
+      : null,
+    chainId: params.chainId,
+    l2Address: '0x' + normalizeHex(params.l2Address),
+    signatureRS: '0x' + normalizeHex(params.signatureRS),
+    amount: params.amount.toString(),
+    to: params.to,
+  };
+  if (params.token.mode === 'issue') fields.ca = params.token.ca;
+  else fields.tick = params.token.tick;
+  return fields;
+}
+
+function decodedFields(decoded) {
+  const fields = {
+    xOnlyPublicKey: decoded.xOnlyPublicKey,
+    multisig: decoded.multisig ? ownerKey(decoded.multisig) : null,
+    chainId: decoded.blob && decoded.blob.chainId,
+    l2Address: decoded.blob && decoded.blob.l2Address,
+    signatureRS: decoded.blob && decoded.blob.signatureRS,
+    amount: decoded.content.amt,
+    to: decoded.content.to,
+  };
+  if (decoded.content.ca !== undefined) fields.ca = decoded.content.ca;
+  if (decoded.content.tick !== undefined) fields.tick = decoded.content.tick;
+  return fields;
+}
+
+// === Main Function ===
+function verifyRoundTrip(params) {
+  const script = generateBridgeScript(params);
+  const decoded = parseBridgeScript(script);
+
+  const expected = expectedFields(params);
+  const actual = decodedFields(decoded);
+  const mismatches = [];
+  for (const field of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+    if (expected[field] !== actual[field]) {
+      mismatches.push({ field, expected: expected[field], actual: actual[field] });
+    }
+  }
+
+  return { ok: mismatches.length === 0, mismatches, script, decoded };
+}
+
+// EXTRA lane as cbor-x encodes it, or null without cbor-x
+function referenceExtra(params) {
+  if (!cborX) return null;
+  const blob = {
+    v: 1,
+    c: params.chainId,
+    l: Uint8Array.from(Buffer.from(normalizeHex(params.l2Address), 'hex')),
+    s: Uint8Array.from(Buffer.from(normalizeHex(params.signatureRS), 'hex')),
+  };
+  return bytesToHex(cborX.encode(blob));
+}
+
+// === Property Check ===
+// mulberry32: small seeded PRNG so failures are reproducible from the seed
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const bytes = (n) => Uint8Array.from({ length: n }, () => int(0, 255));
+  const chars = (alphabet, n) => Array.from({ length: n }, () => alphabet[int(0, alphabet.length - 1)]).join('');
+  return { next, int, bytes, chars };
+}
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+function randomPublicKey(random, compressed = random.int(0, 1) === 1) {
+  return compressed ? Uint8Array.from([random.int(2, 3), ...random.bytes(32)]) : random.bytes(32);
+}
+
+// Small M-of-N owner; ECDSA keys must be compressed
+function randomMultisig(random) {
+  const ecdsa = random.int(0, 1) === 1;
+  const publicKeys = Array.from({ length: random.int(1, 4) }, () => randomPublicKey(random, ecdsa || undefined));
+  return { publicKeys, required: random.int(1, publicKeys.length), ecdsa };
+}
+
+function randomParams(random, toLength = random.int(10, 120)) {
+  const publicKey = randomPublicKey(random);
+  return {
+    publicKey,
+    chainId: random.int(1, 0xffffffff),
+    l2Address: bytesToHex(random.bytes(20)),
+    signatureRS: bytesToHex(random.bytes(64)),
+    token: random.int(0, 1) === 0
+      ? { mode: 'mint', tick: random.chars('ABCDEFGHIJKLMNOPQRSTUVWXYZ', random.int(4, 6)) }
+      : { mode: 'issue', ca: random.chars('0123456789abcdef', 64) },
+    amount: BigInt(random.int(1, 0xffffffff)) * BigInt(random.int(1, 0xffffffff)),
+    to: 'kaspa:' + random.chars(BECH32_CHARSET, Math.max(0, toLength - 6)),
+  };
+}
+
+function contentLength(params) {
+  return Buffer.byteLength(JSON.stringify({ p: 'krc-20', op: 'transfer', amt: params.amount.toString(), to: params.to, tick: params.token.tick }));
+}
+
+// Params whose CONTENT lane is exactly `target` bytes long, by padding `to`
+function paramsWithContentLength(random, target) {
+  const params = { ...randomParams(random, 6), token: { mode: 'mint', tick: 'KAS' }, amount: 1n };
+  const padding = target - contentLength(params);
+  if (padding < 0) throw new Error(`content length ${target} is below the minimum for these params`);
+  params.to += random.chars(BECH32_CHARSET, padding);
+  return params;
+}
+
+// Generator errors for scripts over the 520-byte element limit
+const TOO_LARGE = /too large|exceeds 520/;
+
+function runRoundTripProperty({ runs = 200, seed = 0x6b617370 } = {}) {
+  const random = createRandom(seed);
+  const failures = [];
+
+  // With `expectedEncoding` (a push encoding, or one per chunk) the script must encode
+  const check = (params, label, expectedEncoding) => {
+    try {
+      const result = verifyRoundTrip(params);
+      const encoding = result.decoded.encodings.content;
+      const reference = referenceExtra(params);
+      if (!result.ok) failures.push({ label, params, mismatches: result.mismatches });
+      else if (reference && result.decoded.extra !== reference) failures.push({ label, params, error: `EXTRA lane ${result.decoded.extra} differs from cbor-x ${reference}` });
+      else if (result.script.length > 520) failures.push({ label, params, error: `script is ${result.script.length} bytes (>520)` });
+      else if (result.decoded.pushes.some((push) => push.lane !== 'publicKey' && push.lane !== 'protocol' && push.length > (params.maxPushSize || 520))) failures.push({ label, params, error: `a lane push exceeds maxPushSize ${params.maxPushSize}` });
+      else if (expectedEncoding && JSON.stringify(encoding) !== JSON.stringify(expectedEncoding)) failures.push({ label, params, error: `content pushed with ${encoding}, expected ${expectedEncoding}` });
+    } catch (error) {
+      // Oversized lanes must be rejected by the generator, never silently truncated
+      if (expectedEncoding || !TOO_LARGE.test(error.message)) failures.push({ label, params, error: error.message });
+    }
+  };
+
+  // The generator must throw a size error for `params`
+  const expectRejection = (params, label) => {
+    try {
+      generateBridgeScript(params);
+      failures.push({ label, params, error: 'expected a size rejection, but the script was generated' });
+    } catch (error) {
+      if (!TOO_LARGE.test(error.message)) failures.push({ label, params, error: `expected a size rejection, got: ${error.message}` });
+    }
+  };
+
+  const fits = (params) => {
+    try {
+      generateBridgeScript(params);
+      return true;
+    } catch (error) {
+      if (TOO_LARGE.test(error.message)) return false;
+      throw error;
+    }
+  };
+
+  for (let i = 0; i < runs; i++) {
+    const params = randomParams(random);
+    // Every fourth case splits lanes into smaller pushes
+    if (i % 4 === 3) params.maxPushSize = random.int(16, 255);
+    // Every fifth case is owned by an M-of-N multisig instead of one key
+    if (i % 5 === 4) {
+      params.multisig = randomMultisig(random);
+      delete params.publicKey;
+    }
+    check(params, `random #${i}`);
+  }
+
+  // Push-size boundaries: direct push ↔ OP_PUSHDATA1 ↔ OP_PUSHDATA2
+  for (const target of [0x4b, 0x4c, 0xff, 0x100]) {
+    const params = paramsWithContentLength(random, target);
+    const expectedEncoding = target <= 0x4b ? 'direct' : target <= 0xff ? 'OP_PUSHDATA1' : 'OP_PUSHDATA2';
+    check(params, `content length ${target}`, expectedEncoding);
+  }
+
+  // Script-size limit: the longest CONTENT that fits must encode, and one byte
+  // more must be rejected rather than truncated
+  const base = paramsWithContentLength(random, 0x100);
+  const padded = (length) => ({ ...base, to: base.to + 'q'.repeat(length - 0x100) });
+  let longest = 0x100;
+  while (longest < 520 && fits(padded(longest + 1))) longest += 1;
+  check(padded(longest), `content length ${longest} (longest that fits)`, 'OP_PUSHDATA2');
+  expectRejection(padded(longest + 1), `content length ${longest + 1} (one byte over the limit)`);
+
+  // Chunked lanes: a full chunk per push, the remainder in the last one
+  for (const [target, maxPushSize, expectedEncoding] of [
+    [0x100, 0xff, ['OP_PUSHDATA1', 'direct']],
+    [0x12c, 0x4b, ['direct', 'direct', 'direct', 'direct']],
+    [0x12d, 0x96, ['OP_PUSHDATA1', 'OP_PUSHDATA1', 'direct']],
+  ]) {
+    const params = { ...paramsWithContentLength(random, target), maxPushSize };
+    check(params, `content length ${target} in pushes of ${maxPushSize}`, expectedEncoding);
+  }
+
+  return { runs, seed, failures };
+}
+
+// Export for Node.js/CommonJS
+module.exports = { verifyRoundTrip, runRoundTripProperty };
+
+// Run property check if this file is executed directly
+if (require.main === module) {
+  const seed = process.argv[2] ? Number(process.argv[2]) : undefined;
+  const { runs, seed: usedSeed, failures } = runRoundTripProperty({ seed });
+  if (failures.length === 0) {
+    console.log(`✅ Round-trip property held for ${runs} random cases and all boundary cases (seed ${usedSeed})`);
+  } else {
+    console.error(`❌ ${failures.length} round-trip failure(s) (seed ${usedSeed}):`);
+    for (const failure of failures.slice(0, 10)) {
+      console.error(`  ${failure.label}:`, failure.error || JSON.stringify(failure.mismatches));
+    }
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,121 @@
+// === Kaspa Script Builder ===
+// Assembles scripts one opcode or data push at a time:
+//
+//   new ScriptBuilder()
+//     .addData(xOnlyPublicKey)
+//     .addOp(OP_CHECKSIG)
+//     .addOp(OP_FALSE).addOp(OP_IF).addData('kasplex') ...
+//     .build();
+//
+// Data pushes use the smallest push opcode (OP_0 for empty data, OP_1..OP_16
+// or OP_1NEGATE for the single bytes 1-16 and 0x81, direct push up to 75
+// bytes, then OP_PUSHDATA1/2/4), and a single pushed element may not exceed
+// 520 bytes; longer data can be split across consecutive pushes with
+// addChunkedData. Strings are pushed as UTF-8.
+
+const { OPCODES, opcodeName } = require('./opcodes.js');
+
+const { OP_0, OP_1, OP_1NEGATE, OP_PUSHDATA1, OP_PUSHDATA2, OP_PUSHDATA4 } = OPCODES;
+
+// Consensus limit on the size of one stack element
+const MAX_SCRIPT_ELEMENT_SIZE = 520;
+
+// Opcode that pushes a single byte by itself (1-16 as OP_1..OP_16, 0x81 as
+// OP_1NEGATE), or null when `bytes` needs a data push
+function smallIntOpcode(bytes) {
+  if (bytes.length !== 1) return null;
+  if (bytes[0] >= 1 && bytes[0] <= 16) return OP_1 + bytes[0] - 1;
+  if (bytes[0] === 0x81) return OP_1NEGATE;
+  return null;
+}
+
+// Name of the smallest push for `bytes`, as reported by the decoder
+function minimalPushEncoding(bytes) {
+  const small = smallIntOpcode(bytes);
+  if (small !== null) return opcodeName(small);
+  if (bytes.length === 0) return 'OP_0';
+  if (bytes.length <= 0x4b) return 'direct';
+  if (bytes.length <= 0xff) return 'OP_PUSHDATA1';
+  if (bytes.length <= 0xffff) return 'OP_PUSHDATA2';
+  return 'OP_PUSHDATA4';
+}
+
+// Push opcode (and little-endian length bytes) for `length` bytes of data;
+// addData pushes small single bytes with smallIntOpcode instead
+function pushPrefix(length) {
+  if (length === 0) return Uint8Array.of(OP_0);
+  if (length <= 0x4b) return Uint8Array.of(length);
+  if (length <= 0xff) return Uint8Array.of(OP_PUSHDATA1, length);
+  if (length <= 0xffff) return Uint8Array.of(OP_PUSHDATA2, length & 0xff, length >> 8);
+  return Uint8Array.of(OP_PUSHDATA4, length & 0xff, (length >> 8) & 0xff, (length >> 16) & 0xff, length >>> 24);
+}
+
+class ScriptBuilder {
+  constructor() {
+    this.parts = [];
+    this.length = 0;
+  }
+
+  append(bytes) {
+    this.parts.push(bytes);
+    this.length += bytes.length;
+    return this;
+  }
+
+  // Opcode value (0-255) or name ('OP_CHECKSIG')
+  addOp(opcode) {
+    const value = typeof opcode === 'string' ? OPCODES[opcode] : opcode;
+    if (!Number.isInteger(value) || value < 0 || value > 0xff) throw new Error(`unknown opcode ${opcode}`);
+    if (value >= 0x01 && value <= OP_PUSHDATA4) throw new Error(`${opcodeName(value)} is a push opcode; use addData`);
+    return this.append(Uint8Array.of(value));
+  }
+
+  // Small integer 0-16 as OP_0 / OP_1..OP_16 (e.g. multisig key counts)
+  addSmallInt(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 16) throw new Error(`small integer must be between 0 and 16, got ${value}`);
+    return this.addOp(value === 0 ? OP_0 : OP_1 + value - 1);
+  }
+
+  addData(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : Uint8Array.from(data);
+    if (bytes.length > MAX_SCRIPT_ELEMENT_SIZE) {
+      throw new Error(`push of ${bytes.length} bytes exceeds the ${MAX_SCRIPT_ELEMENT_SIZE}-byte element limit`);
+    }
+    const small = smallIntOpcode(bytes);
+    if (small !== null) return this.append(Uint8Array.of(small));
+    this.append(pushPrefix(bytes.length));
+    return this.append(bytes);
+  }
+
+  // Pushes `data` as consecutive pushes of at most `chunkSize` bytes each
+  // (Kasplex envelope lanes may be split this way; readers concatenate them)
+  addChunkedData(data, chunkSize = MAX_SCRIPT_ELEMENT_SIZE) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : Uint8Array.from(data);
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_SCRIPT_ELEMENT_SIZE) {
+      throw new Error(`chunk size must be between 1 and ${MAX_SCRIPT_ELEMENT_SIZE} bytes`);
+    }
+    if (bytes.length === 0) return this.addData(bytes);
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+      this.addData(bytes.subarray(offset, offset + chunkSize));
+    }
+    return this;
+  }
+
+  // Raw, already-assembled script bytes (e.g. a prebuilt envelope)
+  addScript(script) {
+    return this.append(Uint8Array.from(script));
+  }
+
+  build() {
+    const script = new Uint8Array(this.length);
+    let offset = 0;
+    for (const part of this.parts) {
+      script.set(part, offset);
+      offset += part.length;
+    }
+    return script;
+  }
+}
+
+// Export for Node.js/CommonJS
+module.exports = { ScriptBuilder, OPCODES, MAX_SCRIPT_ELEMENT_SIZE, pushPrefix, smallIntOpcode, minimalPushEncoding };
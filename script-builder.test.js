@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScriptBuilder, minimalPushEncoding } = require('./script-builder.js');
+const { bytesToHex } = require('./generate-script.js');
+
+const push = (data) => bytesToHex(new ScriptBuilder().addData(data).build());
+
+test('pushes single bytes 1-16 and 0x81 with their own opcode', () => {
+  assert.equal(push([]), '0x00');
+  assert.equal(push([0x00]), '0x0100');
+  assert.equal(push([0x01]), '0x51');
+  assert.equal(push([0x10]), '0x60');
+  assert.equal(push([0x11]), '0x0111');
+  assert.equal(push([0x81]), '0x4f');
+  assert.equal(push([0x01, 0x02]), '0x020102');
+});
+
+test('uses OP_PUSHDATA1/2 only above 75 and 255 bytes', () => {
+  assert.equal(push(new Uint8Array(0x4b)).slice(0, 4), '0x4b');
+  assert.equal(push(new Uint8Array(0x4c)).slice(0, 6), '0x4c4c');
+  assert.equal(push(new Uint8Array(0x100)).slice(0, 8), '0x4d0001');
+  assert.throws(() => push(new Uint8Array(521)), /exceeds the 520-byte element limit/);
+});
+
+test('minimalPushEncoding names the push addData emits', () => {
+  assert.equal(minimalPushEncoding(Uint8Array.of(0x05)), 'OP_5');
+  assert.equal(minimalPushEncoding(Uint8Array.of(0x81)), 'OP_1NEGATE');
+  assert.equal(minimalPushEncoding(Uint8Array.of(0x20)), 'direct');
+  assert.equal(minimalPushEncoding(new Uint8Array(0)), 'OP_0');
+  assert.equal(minimalPushEncoding(new Uint8Array(300)), 'OP_PUSHDATA2');
+});
+
+test('a one-byte trailing chunk of a split lane uses the small-integer opcode', () => {
+  const script = new ScriptBuilder().addChunkedData(Uint8Array.of(0xaa, 0xbb, 0x07), 2).build();
+  assert.equal(bytesToHex(script), '0x02aabb57');
+});
@@ -0,0 +1,306 @@
+// === Kaspa Script Disassembler ===
+// Turns a redeem or signature script into an annotated opcode listing with
+// byte offsets, for inspecting rejected deposits:
+//
+//      0  20            OP_DATA_32     <xonly pubkey> 0x1e83...
+//     33  ac            OP_CHECKSIG
+//     34  00            OP_FALSE
+//     35  63            OP_IF
+//     36  07            OP_DATA_7      "kasplex"
+//     44  51            OP_1
+//     45  4c6c          OP_PUSHDATA1   <cbor> 0xb900...
+//
+// A signature script (pushes only, the last one a redeem script) is listed
+// with the redeem script disassembled beneath its push; nested offsets are
+// offsets into the outer script. Malformed scripts are listed up to the first
+// bad instruction, which carries an `error` instead of throwing.
+
+const { bytesToHex, hexToBytes } = require('./generate-script.js');
+const { OPCODES, opcodeName } = require('./opcodes.js');
+
+const {
+  OP_FALSE, OP_PUSHDATA1, OP_PUSHDATA2, OP_PUSHDATA4, OP_1NEGATE, OP_1, OP_16, OP_IF, OP_ENDIF,
+  OP_CHECKMULTISIG, OP_CHECKMULTISIGECDSA,
+} = OPCODES;
+
+// === Script Reader ===
+// Reads one data push at `pos`. Returns null if the opcode there is not a push.
+function readPush(bytes, pos) {
+  if (pos >= bytes.length) throw new Error(`unexpected end of script at byte ${pos}`);
+  const opcode = bytes[pos];
+  let length;
+  let start;
+  let encoding;
+
+  if (opcode >= 0x01 && opcode <= 0x4b) {
+    length = opcode;
+    start = pos + 1;
+    encoding = 'direct';
+  } else if (opcode === OP_PUSHDATA1) {
+    if (pos + 1 >= bytes.length) throw new Error(`OP_PUSHDATA1 missing length byte at byte ${pos}`);
+    length = bytes[pos + 1];
+    start = pos + 2;
+    encoding = 'OP_PUSHDATA1';
+  } else if (opcode === OP_PUSHDATA2) {
+    if (pos + 2 >= bytes.length) throw new Error(`OP_PUSHDATA2 missing length bytes at byte ${pos}`);
+    length = bytes[pos + 1] | (bytes[pos + 2] << 8);
+    start = pos + 3;
+    encoding = 'OP_PUSHDATA2';
+  } else if (opcode === OP_PUSHDATA4) {
+    if (pos + 4 >= bytes.length) throw new Error(`OP_PUSHDATA4 missing length bytes at byte ${pos}`);
+    length = (bytes[pos + 1] | (bytes[pos + 2] << 8) | (bytes[pos + 3] << 16) | (bytes[pos + 4] << 24)) >>> 0;
+    start = pos + 5;
+    encoding = 'OP_PUSHDATA4';
+  } else {
+    return null;
+  }
+
+  if (start + length > bytes.length) {
+    throw new Error(`push at byte ${pos} extends beyond script boundary`);
+  }
+  return { data: bytes.slice(start, start + length), encoding, offset: pos, next: start + length };
+}
+
+// === Instruction Decoding ===
+// Flat instruction list; `base` is added to every offset (for nested scripts)
+function readInstructions(bytes, base = 0) {
+  const instructions = [];
+  let pos = 0;
+  while (pos < bytes.length) {
+    const opcode = bytes[pos];
+    const instruction = { offset: base + pos, opcode, name: opcodeName(opcode) };
+    instructions.push(instruction);
+    try {
+      const push = readPush(bytes, pos);
+      if (!push) {
+        instruction.raw = bytesToHex(bytes.slice(pos, pos + 1));
+        pos += 1;
+        continue;
+      }
+      const dataStart = push.next - push.data.length;
+      instruction.raw = bytesToHex(bytes.slice(pos, dataStart));
+      instruction.data = push.data;
+      instruction.dataOffset = base + dataStart;
+      pos = push.next;
+    } catch (error) {
+      instruction.error = error.message.replace(/at byte \d+/, `at byte ${base + pos}`);
+      break;
+    }
+  }
+  return instructions;
+}
+
+function isPrintable(data) {
+  return data.length > 0 && data.every((byte) => byte >= 0x20 && byte < 0x7f);
+}
+
+function parsesAsJson(data) {
+  try {
+    JSON.parse(new TextDecoder().decode(data));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function concatData(pushes) {
+  const data = new Uint8Array(pushes.reduce((sum, push) => sum + push.data.length, 0));
+  let offset = 0;
+  for (const push of pushes) {
+    data.set(push.data, offset);
+    offset += push.data.length;
+  }
+  return data;
+}
+
+// Data an opcode pushes as a lane chunk: one byte for OP_1..OP_16 / OP_1NEGATE,
+// and nothing for OP_0 when it is the lane's first push (afterwards it is the
+// next lane marker). Returns null for any other non-push opcode.
+function laneChunkData(opcode, first) {
+  if (opcode >= OP_1 && opcode <= OP_16) return Uint8Array.of(opcode - OP_1 + 1);
+  if (opcode === OP_1NEGATE) return Uint8Array.of(0x81);
+  if (opcode === OP_FALSE && first) return new Uint8Array(0);
+  return null;
+}
+
+// Labels the pushes of one envelope lane (possibly split across several pushes)
+function labelLane(marker, pushes) {
+  if (pushes.length === 0) return;
+  const data = concatData(pushes);
+  let label = null;
+  if (marker === OP_1 && data[0] >= 0xa0 && data[0] <= 0xbb) label = 'cbor';
+  if (marker === OP_FALSE && parsesAsJson(data)) label = 'json';
+  if (!label) return;
+
+  pushes.forEach((push, i) => {
+    push.label = pushes.length === 1 ? label : `${label} ${i + 1}/${pushes.length}`;
+    if (label === 'json') push.text = new TextDecoder().decode(push.data);
+  });
+}
+
+// Labels the keys of OP_<m> <pubkey>... OP_<n> OP_CHECKMULTISIG[ECDSA] ending at `index`
+function labelMultisigKeys(instructions, index) {
+  const count = instructions[index - 1];
+  if (!count || count.opcode < OP_1 || count.opcode > OP_16) return;
+  const n = count.opcode - OP_1 + 1;
+  const keys = instructions.slice(Math.max(0, index - 1 - n), index - 1);
+  const ecdsa = instructions[index].opcode === OP_CHECKMULTISIGECDSA;
+  const size = ecdsa ? 33 : 32;
+  if (keys.length !== n || !keys.every((key) => key.data && key.data.length === size)) return;
+  keys.forEach((key) => {
+    key.label = ecdsa ? 'ecdsa pubkey' : 'xonly pubkey';
+  });
+}
+
+// Labels pushes by their role in the script:
+// <pubkey> OP_CHECKSIG[VERIFY|ECDSA], multisig keys, and the envelope
+// OP_FALSE OP_IF <tag> [OP_<lane> <data>...]... OP_ENDIF
+function annotate(instructions) {
+  let envelope = null;
+  instructions.forEach((instruction, i) => {
+    const prev = instructions[i - 1];
+    const next = instructions[i + 1];
+
+    if (instruction.opcode === OP_IF && prev && prev.opcode === OP_FALSE) {
+      envelope = { tagged: false, marker: null, lane: [] };
+      return;
+    }
+    if (envelope && envelope.marker !== null && !instruction.data) {
+      const data = laneChunkData(instruction.opcode, envelope.lane.length === 0);
+      if (data) {
+        if (instruction.opcode === OP_FALSE) instruction.name = 'OP_0';
+        instruction.data = data;
+      }
+    }
+    if (envelope && envelope.marker !== null && !instruction.data) {
+      labelLane(envelope.marker, envelope.lane);
+      envelope.marker = null;
+      envelope.lane = [];
+    }
+    if (instruction.opcode === OP_ENDIF) envelope = null;
+    if (instruction.opcode === OP_CHECKMULTISIG || instruction.opcode === OP_CHECKMULTISIGECDSA) {
+      labelMultisigKeys(instructions, i);
+    }
+    if (!instruction.data) {
+      if (envelope && envelope.tagged && (instruction.opcode === OP_FALSE || instruction.opcode === OP_1)) {
+        // Inside an envelope, OP_FALSE is the content lane marker
+        if (instruction.opcode === OP_FALSE) instruction.name = 'OP_0';
+        envelope.marker = instruction.opcode;
+      }
+      return;
+    }
+
+    const { data } = instruction;
+    if (next && data.length === 32 && ['OP_CHECKSIG', 'OP_CHECKSIGVERIFY'].includes(next.name)) {
+      instruction.label = 'xonly pubkey';
+    } else if (next && data.length === 33 && next.name === 'OP_CHECKSIGECDSA') {
+      instruction.label = 'ecdsa pubkey';
+    } else if (envelope && !envelope.tagged) {
+      envelope.tagged = true;
+      if (isPrintable(data)) instruction.text = new TextDecoder().decode(data);
+    } else if (envelope && envelope.marker !== null) {
+      envelope.lane.push(instruction);
+    }
+  });
+  return instructions;
+}
+
+function isPushOnly(instructions) {
+  return instructions.every((instruction) => instruction.data && !instruction.error);
+}
+
+// Disassembles the push as a script if it looks like one (not just pushes, no errors)
+function nestedScript(push) {
+  const nested = annotate(readInstructions(push.data, push.dataOffset));
+  if (nested.some((instruction) => instruction.error) || isPushOnly(nested)) return null;
+  return nested;
+}
+
+// === Main Functions ===
+// Returns { layout: 'signature' | 'script', length, instructions, asm }
+function disassembleScript(script) {
+  const bytes = typeof script === 'string' ? hexToBytes(script) : Uint8Array.from(script);
+  const instructions = annotate(readInstructions(bytes));
+  let layout = 'script';
+
+  // <signature>... <redeem script>
+  if (instructions.length >= 2 && isPushOnly(instructions)) {
+    const last = instructions[instructions.length - 1];
+    const redeem = nestedScript(last);
+    if (redeem) {
+      layout = 'signature';
+      last.label = 'redeem script';
+      last.script = redeem;
+      for (const push of instructions.slice(0, -1)) {
+        // Schnorr signature, optionally followed by the sighash type byte
+        if (push.data.length === 64 || push.data.length === 65) push.label = 'signature';
+      }
+    }
+  }
+
+  return { layout, length: bytes.length, instructions, asm: toAsm(instructions) };
+}
+
+function operand(instruction) {
+  if (instruction.label) return `<${instruction.label}>`;
+  if (instruction.text !== undefined) return JSON.stringify(instruction.text);
+  return bytesToHex(instruction.data);
+}
+
+// One-line form: OP_DATA_32 <xonly pubkey> OP_CHECKSIG OP_FALSE OP_IF "kasplex" ...
+// (a nested redeem script is shown in brackets after its push opcode)
+function toAsm(instructions) {
+  return instructions
+    .map((instruction) => {
+      if (instruction.error) return `[error: ${instruction.error}]`;
+      if (instruction.data === undefined) return instruction.name;
+      if (instruction.script) return `${instruction.name} [${toAsm(instruction.script)}]`;
+      // Protocol tags read better bare, as in the envelope spec
+      if (instruction.text !== undefined && !instruction.label) return operand(instruction);
+      return `${instruction.name} ${operand(instruction)}`;
+    })
+    .join(' ');
+}
+
+function formatInstructions(instructions, depth, lines) {
+  const indent = '  '.repeat(depth);
+  for (const instruction of instructions) {
+    const raw = instruction.raw ? instruction.raw.slice(2) : bytesToHex([instruction.opcode]).slice(2);
+    let line = `${String(instruction.offset).padStart(6)}  ${indent}${raw.padEnd(12 - indent.length)}  ${instruction.name.padEnd(14)}`;
+    if (instruction.error) {
+      lines.push(`${line} !! ${instruction.error}`);
+      continue;
+    }
+    if (instruction.data !== undefined) {
+      const { label, text, data } = instruction;
+      if (label === 'redeem script') line += ` <redeem script, ${data.length} bytes>`;
+      else if (label && label.startsWith('json')) line += ` <${label}> ${text}`;
+      else if (label) line += ` <${label}> ${bytesToHex(data)}`;
+      else if (text !== undefined) line += ` ${JSON.stringify(text)}`;
+      else line += ` ${bytesToHex(data)}`;
+    }
+    lines.push(line.trimEnd());
+    if (instruction.script) formatInstructions(instruction.script, depth + 1, lines);
+  }
+}
+
+// Multi-line listing: offset, raw opcode bytes, opcode name and operand
+function formatDisassembly(disassembly) {
+  const title = disassembly.layout === 'signature' ? 'Signature script' : 'Script';
+  const lines = [`${title} (${disassembly.length} bytes)`];
+  formatInstructions(disassembly.instructions, 0, lines);
+  return lines.join('\n');
+}
+
+// Export for Node.js/CommonJS
+module.exports = { disassembleScript, formatDisassembly, readPush, opcodeName };
+
+// Run example if this file is executed directly
+if (require.main === module) {
+  // Sample deposit: <65-byte signature> OP_PUSHDATA2 <292-byte redeem script>
+  const signature = '41' + '5a'.repeat(64) + '01';
+  const redeem = '4d2401' + '2083853961a3063e79473d1428535e5c908bf28c1ff866ab6b595c4a2c8e0f602aac0063076b6173706c6578514c68b9000461760161631a0003173b616c54aef33e76972c08b8ac19221cb6e7d2fa4054af43617358409481683c8ac8fdb10937580aeb834ed941914263a8027bdc57314ac71529c4785ee54f875528c620373bfd190aedb8c25c36e9c9641fca4927e675f38272aa74004c897b2270223a226b72632d3230222c226f70223a227472616e73666572222c22616d74223a22313030303030303030222c22746f223a226b617370613a717266356d77327275306176336467666d6b6876683068657473386b383477786361717172336a7639776466367374343468306378716c347379787438222c227469636b223a225a45414c227d68';
+  const disassembly = disassembleScript(process.argv[2] || signature + redeem);
+  console.log(formatDisassembly(disassembly));
+  console.log('\nasm:', disassembly.asm);
+}
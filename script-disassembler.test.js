@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { disassembleScript, formatDisassembly } = require('./script-disassembler.js');
+const { generateBridgeScript, bytesToHex } = require('./generate-script.js');
+const { ScriptBuilder } = require('./script-builder.js');
+
+const summary = (hex) => disassembleScript(hex).instructions.map(({ offset, name, data, error }) => ({
+  offset,
+  name,
+  ...(data !== undefined && { data: bytesToHex(data) }),
+  ...(error && { error }),
+}));
+
+test('reads PUSHDATA1/2/4 lengths little-endian', () => {
+  assert.deepEqual(summary('4c03aabbcc'), [{ offset: 0, name: 'OP_PUSHDATA1', data: '0xaabbcc' }]);
+  assert.deepEqual(summary('4d0300aabbcc'), [{ offset: 0, name: 'OP_PUSHDATA2', data: '0xaabbcc' }]);
+  assert.deepEqual(summary('4e03000000aabbcc'), [{ offset: 0, name: 'OP_PUSHDATA4', data: '0xaabbcc' }]);
+  assert.deepEqual(summary('4d0000ac'), [{ offset: 0, name: 'OP_PUSHDATA2', data: '0x' }, { offset: 3, name: 'OP_CHECKSIG' }]);
+
+  const long = disassembleScript('4d0001' + 'ab'.repeat(256) + 'ac').instructions;
+  assert.equal(long[0].data.length, 256);
+  assert.equal(long[1].offset, 259);
+});
+
+test('reports missing length bytes at the push', () => {
+  assert.deepEqual(summary('4c'), [{ offset: 0, name: 'OP_PUSHDATA1', error: 'OP_PUSHDATA1 missing length byte at byte 0' }]);
+  assert.deepEqual(summary('ac4d01'), [{ offset: 0, name: 'OP_CHECKSIG' }, { offset: 1, name: 'OP_PUSHDATA2', error: 'OP_PUSHDATA2 missing length bytes at byte 1' }]);
+  assert.deepEqual(summary('4e010000'), [{ offset: 0, name: 'OP_PUSHDATA4', error: 'OP_PUSHDATA4 missing length bytes at byte 0' }]);
+});
+
+test('stops at a push that runs past the end of the script', () => {
+  assert.deepEqual(summary('ac05aabbccdd'), [
+    { offset: 0, name: 'OP_CHECKSIG' },
+    { offset: 1, name: 'OP_DATA_5', error: 'push at byte 1 extends beyond script boundary' },
+  ]);
+  assert.equal(summary('4c04aabbcc')[0].error, 'push at byte 0 extends beyond script boundary');
+  // One byte short of the declared 255
+  assert.equal(summary('4cff' + '00'.repeat(254))[0].error, 'push at byte 0 extends beyond script boundary');
+  assert.equal(disassembleScript('ac05aabb').asm, 'OP_CHECKSIG [error: push at byte 1 extends beyond script boundary]');
+});
+
+test('lists unknown opcodes by value and keeps going', () => {
+  assert.deepEqual(summary('ba51'), [{ offset: 0, name: 'OP_UNKNOWN186' }, { offset: 1, name: 'OP_1' }]);
+});
+
+test('formatDisassembly marks the bad instruction', () => {
+  assert.equal(
+    formatDisassembly(disassembleScript('ac05aabb')),
+    [
+      'Script (4 bytes)',
+      '     0  ac            OP_CHECKSIG',
+      '     1  05            OP_DATA_5      !! push at byte 1 extends beyond script boundary',
+    ].join('\n')
+  );
+});
+
+test('labels a deposit script and unwraps it from a signature script', () => {
+  const redeem = generateBridgeScript({
+    publicKey: new Uint8Array(32).fill(1),
+    chainId: 202555,
+    l2Address: '0x' + '00'.repeat(19) + 'aa',
+    signatureRS: '0x' + '11'.repeat(64),
+    token: { mode: 'mint', tick: 'NACHO' },
+    amount: 100000000n,
+  });
+  const listing = disassembleScript(redeem);
+  assert.equal(listing.layout, 'script');
+  assert.match(listing.asm, /^OP_DATA_32 <xonly pubkey> OP_CHECKSIG OP_FALSE OP_IF "kasplex" OP_1 OP_PUSHDATA1 <cbor> OP_0 OP_PUSHDATA1 <json> OP_ENDIF$/);
+
+  // <65-byte signature> OP_PUSHDATA2 <redeem script>
+  const signatureScript = Uint8Array.from([0x41, ...new Uint8Array(65), 0x4d, redeem.length & 0xff, redeem.length >> 8, ...redeem]);
+  const wrapped = disassembleScript(signatureScript);
+  assert.equal(wrapped.layout, 'signature');
+  assert.equal(wrapped.instructions[0].label, 'signature');
+  const [, redeemPush] = wrapped.instructions;
+  assert.equal(redeemPush.label, 'redeem script');
+  // Nested offsets are offsets into the signature script
+  assert.equal(redeemPush.script[0].offset, redeemPush.dataOffset);
+  assert.match(formatDisassembly(wrapped), /^Signature script \(\d+ bytes\)\n.*<signature>/);
+});
+
+test('small-int and empty chunks stay in their envelope lane', () => {
+  const content = JSON.stringify({ p: 'krc-20', op: 'transfer', tick: 'NACHO', amt: '1' });
+  const script = new ScriptBuilder()
+    .addData(new Uint8Array(32).fill(1)).addOp('OP_CHECKSIG')
+    .addOp('OP_FALSE').addOp('OP_IF').addData('kasplex')
+    // EXTRA: a CBOR map whose last byte is pushed as OP_5
+    .addOp('OP_1').addData(Uint8Array.of(0xa1, 0x61, 0x76)).addData(Uint8Array.of(5))
+    .addOp('OP_0').addData(content).addData('\n')
+    .addOp('OP_ENDIF')
+    .build();
+  const { asm, instructions } = disassembleScript(script);
+  assert.equal(asm, `OP_DATA_32 <xonly pubkey> OP_CHECKSIG OP_FALSE OP_IF "kasplex" OP_1 OP_DATA_3 <cbor 1/2> OP_5 <cbor 2/2> OP_0 OP_DATA_${content.length} <json 1/2> OP_10 <json 2/2> OP_ENDIF`);
+  assert.deepEqual(instructions.at(-2).data, Uint8Array.of(0x0a));
+
+  // OP_0 right after a marker is an empty lane; the next OP_0 is the content marker
+  const empty = disassembleScript(new ScriptBuilder()
+    .addOp('OP_FALSE').addOp('OP_IF').addData('kasplex')
+    .addOp('OP_1').addOp('OP_0').addOp('OP_0').addData(content).addOp('OP_1NEGATE')
+    .addOp('OP_ENDIF')
+    .build());
+  assert.deepEqual(empty.instructions.slice(3).map(({ name, data }) => [name, data && bytesToHex(data)]), [
+    ['OP_1', undefined],
+    ['OP_0', '0x'],
+    ['OP_0', undefined],
+    [`OP_DATA_${content.length}`, bytesToHex(new TextEncoder().encode(content))],
+    ['OP_1NEGATE', '0x81'],
+    ['OP_ENDIF', undefined],
+  ]);
+});
@@ -0,0 +1,119 @@
+// === Token-Pair Amount Conversion ===
+// Exact BigInt conversion between decimal strings, L1 base units (KRC-20,
+// usually 8 decimals) and L2 base units (ERC-20 wei, usually 18 decimals),
+// driven by a token-pair record from the token-pair API.
+// Any conversion that would drop precision throws instead of rounding.
+
+function pow10(n) {
+  return 10n ** BigInt(n);
+}
+
+function getPairDecimals(tokenPair) {
+  if (!tokenPair) throw new Error('tokenPair is required');
+  const l1 = tokenPair.l1_decimals;
+  const l2 = tokenPair.l2_decimals;
+  if (!Number.isInteger(l1) || l1 < 0) throw new Error('tokenPair.l1_decimals must be a non-negative integer');
+  if (!Number.isInteger(l2) || l2 < 0) throw new Error('tokenPair.l2_decimals must be a non-negative integer');
+  return { l1, l2 };
+}
+
+// === Decimal Strings ===
+// "2.5" with 8 decimals → 250000000n; "0.000000001" with 8 decimals throws
+function parseUnitsExact(value, decimals) {
+  const str = typeof value === 'bigint' || typeof value === 'number' ? String(value) : value;
+  if (typeof str !== 'string') throw new Error('amount must be a decimal string');
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(str.trim());
+  if (!match || (match[1] === '' && !match[2])) throw new Error(`invalid decimal amount "${str}"`);
+
+  const whole = match[1] || '0';
+  const fraction = (match[2] || '').replace(/0+$/, '');
+  if (fraction.length > decimals) {
+    throw new Error(`amount "${str}" has more than ${decimals} decimal places`);
+  }
+  return BigInt(whole) * pow10(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+}
+
+// 250000000n with 8 decimals → "2.5"
+function formatUnitsExact(units, decimals) {
+  const value = BigInt(units);
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+  const whole = abs / pow10(decimals);
+  const fraction = (abs % pow10(decimals)).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''}`;
+}
+
+// === L1 ↔ L2 ===
+function l1ToL2(l1Units, tokenPair) {
+  const { l1, l2 } = getPairDecimals(tokenPair);
+  const units = BigInt(l1Units);
+  if (l2 >= l1) return units * pow10(l2 - l1);
+
+  const factor = pow10(l1 - l2);
+  if (units % factor !== 0n) throw new Error(`L1 amount ${units} has precision below the L2 token's ${l2} decimals`);
+  return units / factor;
+}
+
+// Rejects dust: an L2 amount that is not a whole number of L1 base units
+function l2ToL1(l2Units, tokenPair) {
+  const { l1, l2 } = getPairDecimals(tokenPair);
+  const units = BigInt(l2Units);
+  if (l1 >= l2) return units * pow10(l1 - l2);
+
+  const factor = pow10(l2 - l1);
+  if (units % factor !== 0n) {
+    throw new Error(`L2 amount ${units} is not a multiple of ${factor} (the L1 token only has ${l1} decimals)`);
+  }
+  return units / factor;
+}
+
+// maxSupply is expressed in L2 base units
+function assertWithinMaxSupply(l2Units, tokenPair) {
+  if (tokenPair.maxSupply === undefined || tokenPair.maxSupply === null) return;
+  const maxSupply = BigInt(tokenPair.maxSupply);
+  if (BigInt(l2Units) > maxSupply) throw new Error(`amount ${l2Units} exceeds the token's maxSupply of ${maxSupply}`);
+}
+
+function assertPositive(units) {
+  if (units <= 0n) throw new Error('amount must be greater than zero');
+}
+
+// === Main Functions ===
+function toL1Units(amountDecimal, tokenPair) {
+  const { l1 } = getPairDecimals(tokenPair);
+  const units = parseUnitsExact(amountDecimal, l1);
+  assertPositive(units);
+  assertWithinMaxSupply(l1ToL2(units, tokenPair), tokenPair);
+  return units;
+}
+
+function toL2Units(amountDecimal, tokenPair) {
+  const { l2 } = getPairDecimals(tokenPair);
+  const units = parseUnitsExact(amountDecimal, l2);
+  assertPositive(units);
+  // Must also be representable on L1, or the bridge-back would lose dust
+  l2ToL1(units, tokenPair);
+  assertWithinMaxSupply(units, tokenPair);
+  return units;
+}
+
+function fromL1Units(l1Units, tokenPair) {
+  return formatUnitsExact(l1Units, getPairDecimals(tokenPair).l1);
+}
+
+function fromL2Units(l2Units, tokenPair) {
+  return formatUnitsExact(l2Units, getPairDecimals(tokenPair).l2);
+}
+
+// Export for Node.js/CommonJS
+module.exports = {
+  toL1Units,
+  toL2Units,
+  fromL1Units,
+  fromL2Units,
+  l1ToL2,
+  l2ToL1,
+  parseUnitsExact,
+  formatUnitsExact,
+  assertWithinMaxSupply,
+};
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toL1Units,
+  toL2Units,
+  fromL1Units,
+  fromL2Units,
+  l1ToL2,
+  l2ToL1,
+  parseUnitsExact,
+  formatUnitsExact,
+  assertWithinMaxSupply,
+} = require('./token-amounts.js');
+
+const PAIR = { l1_decimals: 8, l2_decimals: 18, maxSupply: 21000000000000000000000000000n };
+
+test('parseUnitsExact parses decimal strings without rounding', () => {
+  assert.equal(parseUnitsExact('2.5', 8), 250000000n);
+  assert.equal(parseUnitsExact('.5', 8), 50000000n);
+  assert.equal(parseUnitsExact('3.', 8), 300000000n);
+  assert.equal(parseUnitsExact('0.10000000000', 8), 10000000n); // trailing zeros are not precision
+  assert.equal(parseUnitsExact(7n, 0), 7n);
+  assert.throws(() => parseUnitsExact('0.000000001', 8), /more than 8 decimal places/);
+  for (const bad of ['', '.', '-1', '1e8', '1,5', 'abc']) {
+    assert.throws(() => parseUnitsExact(bad, 8), /invalid decimal amount/, bad);
+  }
+});
+
+test('formatUnitsExact is the inverse of parseUnitsExact', () => {
+  assert.equal(formatUnitsExact(250000000n, 8), '2.5');
+  assert.equal(formatUnitsExact(1n, 18), '0.000000000000000001');
+  assert.equal(formatUnitsExact(-150n, 2), '-1.5');
+  assert.equal(formatUnitsExact(100n, 2), '1');
+  for (const value of ['0.00000001', '123.456', '21000000']) {
+    assert.equal(formatUnitsExact(parseUnitsExact(value, 8), 8), value);
+  }
+});
+
+test('l1ToL2 and l2ToL1 scale by the decimal difference', () => {
+  assert.equal(l1ToL2(1n, PAIR), 10n ** 10n);
+  assert.equal(l2ToL1(2n * 10n ** 18n, PAIR), 200000000n);
+  assert.throws(() => l2ToL1(10n ** 10n + 1n, PAIR), /not a multiple of 10000000000/);
+
+  // A pair whose L2 token has fewer decimals than L1
+  const narrow = { l1_decimals: 8, l2_decimals: 6 };
+  assert.equal(l1ToL2(100n, narrow), 1n);
+  assert.throws(() => l1ToL2(101n, narrow), /precision below the L2 token's 6 decimals/);
+  assert.equal(l2ToL1(1n, narrow), 100n);
+});
+
+test('rejects token pairs without integer decimals', () => {
+  assert.throws(() => l1ToL2(1n, null), /tokenPair is required/);
+  assert.throws(() => l1ToL2(1n, { l1_decimals: '8', l2_decimals: 18 }), /l1_decimals/);
+  assert.throws(() => l2ToL1(1n, { l1_decimals: 8, l2_decimals: -1 }), /l2_decimals/);
+});
+
+test('toL1Units and toL2Units require positive amounts within maxSupply', () => {
+  assert.equal(toL1Units('1.5', PAIR), 150000000n);
+  assert.equal(toL2Units('1.5', PAIR), 15n * 10n ** 17n);
+  assert.throws(() => toL1Units('0', PAIR), /greater than zero/);
+  assert.throws(() => toL1Units('210000000000', PAIR), /exceeds the token's maxSupply/);
+  // Dust below one L1 unit cannot be bridged back
+  assert.throws(() => toL2Units('0.000000000000000001', PAIR), /not a multiple/);
+});
+
+test('assertWithinMaxSupply compares L2 units and ignores a missing maxSupply', () => {
+  assert.doesNotThrow(() => assertWithinMaxSupply(PAIR.maxSupply, PAIR));
+  assert.throws(() => assertWithinMaxSupply(PAIR.maxSupply + 1n, PAIR), /exceeds/);
+  assert.doesNotThrow(() => assertWithinMaxSupply(10n ** 40n, { l1_decimals: 8, l2_decimals: 18 }));
+});
+
+test('fromL1Units and fromL2Units format with the pair decimals', () => {
+  assert.equal(fromL1Units(250000000n, PAIR), '2.5');
+  assert.equal(fromL2Units(25n * 10n ** 17n, PAIR), '2.5');
+});
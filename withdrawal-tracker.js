@@ -0,0 +1,324 @@
+// === L2 → L1 Withdrawal Tracker ===
+// Follows a burnForBridgeBack transaction until the KRC-20 release lands on Kaspa:
+// - burned:   burn decoded from the L2 receipt (token, amount, Kaspa address)
+// - pending:  a poll found no matching release yet
+// - released: a KRC-20 transfer from the vault to the Kaspa address with the
+//             burned amount (converted to L1 decimals), made no earlier than
+//             the burn block, was found
+// - timeout:  no release within `timeoutMs`
+//
+// Releases are found through a pluggable source with one method:
+//   findTransfers({ to, token }) → [{ txId, from, to, amount, token, accepted, timestamp }]
+// `timestamp` (ms) tells a release of this burn from an earlier withdrawal of
+// the same amount; transfers without one are never taken as the release.
+// Two sources are included: the Kasplex KRC-20 indexer API and a Kaspa RPC
+// source that scans accepted transactions for kasplex transfer envelopes.
+
+const { EventEmitter } = require('events');
+const { createPublicClient, http } = require('viem');
+const { decodeBridgeLogs, decodeBurnTransaction } = require('./from_l2_to_l1.js');
+const { bytesToHex } = require('./generate-script.js');
+const { getNetwork, requireNetworkValue } = require('./networks.js');
+const { parseBridgeScript } = require('./envelope-decoder.js');
+const { validateKaspaAddress } = require('./kaspa-address.js');
+const { tokenFromPair } = require('./krc20-token.js');
+const { l2ToL1 } = require('./token-amounts.js');
+
+const WITHDRAWAL_DEFAULTS = {
+  POLL_INTERVAL_MS: 10000,
+  TIMEOUT_MS: 60 * 60 * 1000,
+  MAX_CONSECUTIVE_ERRORS: 5,
+  MAX_BACKOFF_MS: 5 * 60 * 1000,
+};
+
+// === Burn Decoding ===
+// Prefers the bridge's BurnForBridgeBack event; for receipts without it, falls
+// back to the burnForBridgeBack calldata of the mined transaction
+async function decodeBurnFromReceipt({ publicClient, receipt, network }) {
+  if (receipt.status !== 'success') throw new Error(`burn transaction ${receipt.transactionHash} reverted`);
+  const [record] = decodeBridgeLogs(receipt, { network });
+  if (record) return record;
+
+  const transaction = await publicClient.getTransaction({ hash: receipt.transactionHash });
+  const burn = decodeBurnTransaction(transaction, receipt, { network });
+  if (!burn) throw new Error(`transaction ${receipt.transactionHash} is not a burnForBridgeBack call to the bridge`);
+  return burn;
+}
+
+// === Release Sources ===
+// Kasplex KRC-20 indexer: GET /krc20/oplist?address=<to>&tick=<tick or ca>
+class KasplexIndexerSource {
+  constructor({ network, baseUrl, fetch: fetchImpl = globalThis.fetch } = {}) {
+    if (typeof fetchImpl !== 'function') throw new Error('fetch is not available; pass one in the options');
+    baseUrl = baseUrl || requireNetworkValue(getNetwork(network), 'indexerUrl');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.fetch = fetchImpl;
+  }
+
+  async findTransfers({ to, token }) {
+    const query = new URLSearchParams({ address: to, tick: token.ca || token.tick });
+    const response = await this.fetch(`${this.baseUrl}/krc20/oplist?${query}`);
+    if (!response.ok) throw new Error(`KRC-20 indexer request failed with HTTP ${response.status}`);
+    const body = await response.json();
+    if (!Array.isArray(body.result)) throw new Error('invalid KRC-20 indexer response: result must be an array');
+
+    // The indexer reports op names upper-case ("TRANSFER")
+    return body.result
+      .filter((op) => String(op.op).toLowerCase() === 'transfer' && op.to === to)
+      .map((op) => ({
+        txId: op.hashRev,
+        from: op.from,
+        to: op.to,
+        amount: BigInt(op.amt),
+        token: op.ca ? { mode: 'issue', ca: op.ca } : { mode: 'mint', tick: op.tick },
+        accepted: op.opAccept === '1' || op.opAccept === 1,
+        timestamp: op.mtsAdd === undefined ? null : Number(op.mtsAdd),
+      }));
+  }
+}
+
+// Kaspa RPC: walks the virtual chain and decodes kasplex envelopes in the
+// signature scripts of accepted transactions. The sender is the envelope's
+// public key, so `from` is reported as the matching vault address when it is
+// the vault's key. Transfers seen this way are on-chain but not indexer-validated;
+// their timestamp is the accepting chain block's.
+// Only vault transfers are kept, and each is dropped once returned or after
+// `retentionMs` (other trackers sharing the source may still ask for it).
+class RpcTransferSource {
+  constructor({
+    rpc,
+    startHash,
+    network,
+    vaultAddress = requireNetworkValue(getNetwork(network), 'vaultAddress'),
+    retentionMs = WITHDRAWAL_DEFAULTS.TIMEOUT_MS,
+  }) {
+    if (!rpc) throw new Error('rpc is required');
+    this.rpc = rpc;
+    this.startHash = startHash;
+    this.vaultAddress = vaultAddress;
+    const vault = validateKaspaAddress(vaultAddress);
+    if (!vault.valid || vault.type !== 'PubKey') throw new Error(`vaultAddress must be a Schnorr public key address: ${vaultAddress}`);
+    this.vaultKey = bytesToHex(vault.payload);
+    this.retentionMs = retentionMs;
+    // txId → { transfer, seenAt }
+    this.found = new Map();
+  }
+
+  async findTransfers({ to, token }) {
+    if (!this.startHash) this.startHash = (await this.rpc.getBlockDagInfo()).sink;
+
+    const chain = await this.rpc.getVirtualChainFromBlock({ startHash: this.startHash, includeAcceptedTransactionIds: true });
+    for (const { acceptingBlockHash, acceptedTransactionIds } of chain.acceptedTransactionIds || []) {
+      if (acceptedTransactionIds.length === 0) continue;
+      const accepted = new Set(acceptedTransactionIds);
+      const { timestamp, transactions } = await this.acceptedTransactions(acceptingBlockHash, accepted);
+      for (const tx of transactions) {
+        const transfer = this.decodeTransfer(tx, timestamp);
+        if (transfer && transfer.from === this.vaultAddress) this.found.set(transfer.txId, { transfer, seenAt: Date.now() });
+      }
+    }
+    const added = chain.addedChainBlockHashes || [];
+    if (added.length > 0) this.startHash = added[added.length - 1];
+
+    const tokenId = (token.ca || token.tick).toLowerCase();
+    const expired = Date.now() - this.retentionMs;
+    const matches = [];
+    for (const [txId, { transfer, seenAt }] of this.found) {
+      if (transfer.to === to && (transfer.token.ca || transfer.token.tick).toLowerCase() === tokenId) {
+        matches.push(transfer);
+        this.found.delete(txId);
+      } else if (seenAt < expired) {
+        this.found.delete(txId);
+      }
+    }
+    return matches;
+  }
+
+  // Transactions accepted by a chain block live in the block itself and its merged blue blocks
+  async acceptedTransactions(chainBlockHash, accepted) {
+    const { block } = await this.rpc.getBlock({ hash: chainBlockHash, includeTransactions: true });
+    const hashes = (block.verboseData && block.verboseData.mergeSetBluesHashes) || [];
+    const blocks = [block];
+    for (const hash of hashes) {
+      if (hash !== chainBlockHash) blocks.push((await this.rpc.getBlock({ hash, includeTransactions: true })).block);
+    }
+    const transactions = blocks
+      .flatMap((b) => b.transactions || [])
+      .filter((tx) => tx.verboseData && accepted.has(tx.verboseData.transactionId));
+    return { timestamp: block.header ? Number(block.header.timestamp) : null, transactions };
+  }
+
+  decodeTransfer(tx, timestamp = null) {
+    for (const input of tx.inputs || []) {
+      if (!input.signatureScript) continue;
+      let envelope;
+      try {
+        envelope = parseBridgeScript(input.signatureScript);
+      } catch (error) {
+        continue; // Not a kasplex envelope
+      }
+      const { content } = envelope;
+      if (String(content.p).toLowerCase() !== 'krc-20' || String(content.op).toLowerCase() !== 'transfer' || !envelope.token) continue;
+      const fromVault = envelope.xOnlyPublicKey === this.vaultKey;
+      return {
+        txId: tx.verboseData.transactionId,
+        from: fromVault ? this.vaultAddress : null,
+        to: content.to,
+        amount: BigInt(content.amt),
+        token: envelope.token,
+        accepted: true,
+        timestamp,
+      };
+    }
+    return null;
+  }
+}
+
+// === Tracker ===
+class WithdrawalTracker extends EventEmitter {
+  constructor({
+    receipt,
+    hash,
+    publicClient,
+    network,
+    l2RpcUrl = getNetwork(network).rpcUrl,
+    tokenPair,
+    source,
+    vaultAddress = requireNetworkValue(getNetwork(network), 'vaultAddress'),
+    requireAccepted = true,
+    pollIntervalMs = WITHDRAWAL_DEFAULTS.POLL_INTERVAL_MS,
+    timeoutMs = WITHDRAWAL_DEFAULTS.TIMEOUT_MS,
+    maxConsecutiveErrors = WITHDRAWAL_DEFAULTS.MAX_CONSECUTIVE_ERRORS,
+    maxBackoffMs = WITHDRAWAL_DEFAULTS.MAX_BACKOFF_MS,
+  }) {
+    super();
+    if (!receipt && !hash) throw new Error('receipt or hash is required');
+    if (!tokenPair || !tokenPair.l2_address) throw new Error('tokenPair with l2_address is required');
+
+    this.receipt = receipt;
+    this.hash = hash;
+    this.publicClient = publicClient || createPublicClient({ transport: http(l2RpcUrl) });
+    this.tokenPair = tokenPair;
+    this.network = network;
+    this.source = source || new KasplexIndexerSource({ network });
+    this.vaultAddress = vaultAddress;
+    this.requireAccepted = requireAccepted;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timeoutMs = timeoutMs;
+    this.maxConsecutiveErrors = maxConsecutiveErrors;
+    this.maxBackoffMs = maxBackoffMs;
+
+    this.status = null;
+    this.burn = null;
+    this.release = null;
+    this.errors = 0;
+    this.timer = null;
+    this.stopped = false;
+  }
+
+  setStatus(status, details = {}) {
+    this.status = status;
+    const event = { status, burn: this.burn, ...details };
+    this.emit('progress', event);
+    this.emit(status, event);
+  }
+
+  // Starts tracking; `result` resolves with the final status ('released' or 'timeout').
+  // Failures reject `result` and are emitted as 'error' when someone listens,
+  // so an events-only caller never sees an unhandled rejection.
+  start() {
+    if (this.result) return this;
+    this.result = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+    this.result.catch((error) => {
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+
+    this.deadline = Date.now() + this.timeoutMs;
+    // Deferred so listeners attached right after trackWithdrawal() see 'burned'
+    Promise.resolve()
+      .then(() => this.decodeBurn())
+      .then(() => this.poll())
+      .catch((error) => this.finish(error));
+    return this;
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  finish(error) {
+    this.stop();
+    if (error) return this.reject(error);
+    this.resolve({ status: this.status, burn: this.burn, release: this.release });
+  }
+
+  async decodeBurn() {
+    if (!this.receipt) this.receipt = await this.publicClient.waitForTransactionReceipt({ hash: this.hash });
+    const burn = await decodeBurnFromReceipt({ publicClient: this.publicClient, receipt: this.receipt, network: this.network });
+    if (burn.token.toLowerCase() !== this.tokenPair.l2_address.toLowerCase()) {
+      throw new Error(`burned token ${burn.token} does not match token pair ${this.tokenPair.l2_address}`);
+    }
+    // Releases are matched by amount, so an earlier withdrawal of the same amount
+    // to the same address is told apart by time: L2 block timestamps are seconds
+    const block = await this.publicClient.getBlock({ blockNumber: burn.blockNumber });
+    this.burn = { ...burn, timestamp: Number(block.timestamp) * 1000, expectedL1Amount: l2ToL1(burn.amount, this.tokenPair) };
+    this.token = tokenFromPair(this.tokenPair);
+    this.setStatus('burned');
+  }
+
+  async poll() {
+    if (this.stopped) return;
+    let delay = this.pollIntervalMs;
+    try {
+      const transfers = await this.source.findTransfers({ to: this.burn.kaspaAddress, token: this.token });
+      this.errors = 0;
+      this.release = transfers.find((t) =>
+        t.from === this.vaultAddress &&
+        t.amount === this.burn.expectedL1Amount &&
+        t.timestamp !== null && t.timestamp !== undefined && t.timestamp >= this.burn.timestamp &&
+        (t.accepted || !this.requireAccepted)
+      ) || null;
+      if (this.release) {
+        this.setStatus('released', { release: this.release });
+        return this.finish();
+      }
+      this.setStatus('pending');
+    } catch (error) {
+      // Retry with exponential backoff; give up after too many failures in a row
+      this.errors += 1;
+      this.emit('poll-error', error);
+      if (this.errors >= this.maxConsecutiveErrors) {
+        return this.finish(new Error(`withdrawal tracking failed after ${this.errors} consecutive errors: ${error.message}`));
+      }
+      delay = Math.min(this.pollIntervalMs * 2 ** this.errors, this.maxBackoffMs);
+    }
+
+    if (Date.now() >= this.deadline) {
+      this.setStatus('timeout');
+      return this.finish();
+    }
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+}
+
+// Create and start a tracker from a burn receipt (e.g. burnTokens(...).receipt)
+// or transaction hash. `tracker.result` resolves with the final status.
+function trackWithdrawal(options) {
+  const tracker = new WithdrawalTracker(options);
+  tracker.start();
+  return tracker;
+}
+
+// Export for Node.js/CommonJS
+module.exports = {
+  trackWithdrawal,
+  WithdrawalTracker,
+  decodeBurnFromReceipt,
+  KasplexIndexerSource,
+  RpcTransferSource,
+  WITHDRAWAL_DEFAULTS,
+};
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeEventTopics, encodeAbiParameters } = require('viem');
+const { trackWithdrawal, KasplexIndexerSource, RpcTransferSource } = require('./withdrawal-tracker.js');
+const { generateBridgeScript, bytesToHex } = require('./generate-script.js');
+const { ScriptBuilder } = require('./script-builder.js');
+const { bridgeAbi } = require('./from_l2_to_l1.js');
+const { validateKaspaAddress } = require('./kaspa-address.js');
+const { NETWORKS } = require('./networks.js');
+
+const VAULT = NETWORKS.mainnet.vaultAddress;
+const USER = 'kaspa:qypca63358auyh2hxdvnxmjleu7snzytrkgwt46a3tr6k2l8xcpvelqhygnprgs';
+const OTHER = 'kaspa:qppyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyysjzgfpyyl93f3r9r';
+const TOKEN = { mode: 'mint', tick: 'NACHO' };
+
+test('indexer source matches op names case-insensitively', async () => {
+  const fetch = async (url) => {
+    assert.match(url, /\/krc20\/oplist\?address=kaspa%3A.*&tick=NACHO$/);
+    return {
+      ok: true,
+      json: async () => ({
+        result: [
+          { op: 'TRANSFER', hashRev: 'aa', from: VAULT, to: USER, amt: '250000000', tick: 'NACHO', opAccept: '1', mtsAdd: '1760000000000' },
+          { op: 'MINT', hashRev: 'bb', from: VAULT, to: USER, amt: '1', tick: 'NACHO', opAccept: '1' },
+          { op: 'transfer', hashRev: 'cc', from: VAULT, to: OTHER, amt: '1', tick: 'NACHO', opAccept: '1' },
+        ],
+      }),
+    };
+  };
+  const source = new KasplexIndexerSource({ baseUrl: 'https://indexer.example/v1/', fetch });
+  const transfers = await source.findTransfers({ to: USER, token: TOKEN });
+  assert.deepEqual(transfers, [{ txId: 'aa', from: VAULT, to: USER, amount: 250000000n, token: TOKEN, accepted: true, timestamp: 1760000000000 }]);
+});
+
+// Reveal input spending a transfer envelope owned by `publicKey`
+function transferTx(txId, { to, publicKey }) {
+  const redeem = generateBridgeScript({
+    publicKey,
+    chainId: 202555,
+    l2Address: '0x' + '00'.repeat(20),
+    signatureRS: '0x' + '11'.repeat(64),
+    token: TOKEN,
+    amount: 100000000n,
+    to,
+  });
+  const signatureScript = bytesToHex(new ScriptBuilder().addData(new Uint8Array(65)).addData(redeem).build()).slice(2);
+  return { inputs: [{ signatureScript }], verboseData: { transactionId: txId } };
+}
+
+// One chain block per call, accepting `transactions`
+function fakeRpc(blocks) {
+  let next = 0;
+  return {
+    async getBlockDagInfo() {
+      return { sink: 'sink' };
+    },
+    async getVirtualChainFromBlock() {
+      const block = blocks[next++];
+      if (!block) return { addedChainBlockHashes: [], acceptedTransactionIds: [] };
+      return {
+        addedChainBlockHashes: [block.hash],
+        acceptedTransactionIds: [{ acceptingBlockHash: block.hash, acceptedTransactionIds: block.transactions.map((tx) => tx.verboseData.transactionId) }],
+      };
+    },
+    async getBlock({ hash }) {
+      const block = blocks.find((b) => b.hash === hash);
+      return { block: { header: { timestamp: block.timestamp }, transactions: block.transactions, verboseData: { mergeSetBluesHashes: [] } } };
+    },
+  };
+}
+
+test('RPC source keeps only vault transfers and prunes them once returned or expired', async () => {
+  const vaultKey = validateKaspaAddress(VAULT).payload;
+  const strangerKey = new Uint8Array(32).fill(7);
+  const rpc = fakeRpc([{
+    hash: 'chain-1',
+    timestamp: 1760000000000n,
+    transactions: [
+      transferTx('t1', { to: USER, publicKey: vaultKey }),
+      transferTx('t2', { to: OTHER, publicKey: vaultKey }),
+      transferTx('t3', { to: USER, publicKey: strangerKey }),
+    ],
+  }]);
+  const source = new RpcTransferSource({ rpc, vaultAddress: VAULT, retentionMs: 1000 });
+
+  const first = await source.findTransfers({ to: USER, token: { mode: 'mint', tick: 'nacho' } });
+  assert.deepEqual(first.map((t) => t.txId), ['t1']);
+  assert.equal(first[0].from, VAULT);
+  assert.equal(first[0].timestamp, 1760000000000);
+  assert.deepEqual([...source.found.keys()], ['t2']);
+
+  assert.deepEqual(await source.findTransfers({ to: USER, token: TOKEN }), []);
+
+  // Unclaimed transfers are dropped after retentionMs
+  source.retentionMs = 0;
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  await source.findTransfers({ to: USER, token: TOKEN });
+  assert.equal(source.found.size, 0);
+});
+
+test('a failed burn lookup is emitted as error instead of an unhandled rejection', async () => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  try {
+    const publicClient = { waitForTransactionReceipt: async () => { throw new Error('rpc unreachable'); } };
+    const options = { hash: '0x' + '12'.repeat(32), publicClient, tokenPair: { l2_address: '0x' + 'cc'.repeat(20), l1_decimals: 8, l2_decimals: 18 }, source: { findTransfers: async () => [] } };
+
+    const tracker = trackWithdrawal(options);
+    const error = await new Promise((resolve) => tracker.on('error', resolve));
+    assert.equal(error.message, 'rpc unreachable');
+    await assert.rejects(tracker.result, /rpc unreachable/);
+
+    trackWithdrawal(options);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+});
+
+test('an earlier release of the same amount to the same address is not taken for this burn', async () => {
+  const l2Token = '0x' + 'cc'.repeat(20);
+  const receipt = {
+    status: 'success',
+    transactionHash: '0x' + '12'.repeat(32),
+    blockNumber: 500n,
+    logs: [{
+      address: NETWORKS.mainnet.bridgeContract,
+      topics: encodeEventTopics({ abi: bridgeAbi, eventName: 'BurnForBridgeBack', args: { user: '0x' + 'aa'.repeat(20), token: l2Token } }),
+      data: encodeAbiParameters([{ type: 'uint256' }, { type: 'string' }, { type: 'uint256' }], [10n ** 18n, USER, 0n]),
+      blockNumber: 500n,
+      transactionHash: '0x' + '12'.repeat(32),
+      logIndex: 0,
+    }],
+  };
+  const publicClient = { getBlock: async ({ blockNumber }) => ({ number: blockNumber, timestamp: 1760000000n }) };
+
+  // The previous withdrawal of 1 NACHO, then this one
+  const previous = { txId: 'old', from: VAULT, to: USER, amount: 100000000n, token: TOKEN, accepted: true, timestamp: 1759990000000 };
+  const current = { ...previous, txId: 'new', timestamp: 1760000060000 };
+  const polls = [[previous], [previous, current]];
+  const source = { findTransfers: async () => polls.shift() || [] };
+
+  const tracker = trackWithdrawal({ receipt, publicClient, source, tokenPair: { l2_address: l2Token, l1_symbol: 'NACHO', l1_decimals: 8, l2_decimals: 18 }, pollIntervalMs: 1 });
+  const statuses = [];
+  tracker.on('progress', ({ status }) => statuses.push(status));
+  const { status, burn, release } = await tracker.result;
+  assert.equal(status, 'released');
+  assert.equal(burn.timestamp, 1760000000000);
+  assert.equal(release.txId, 'new');
+  assert.deepEqual(statuses, ['burned', 'pending', 'released']);
+});